@@ -0,0 +1,92 @@
+// Encrypted storage of SolarEdge account credentials
+//
+// Credentials are encrypted using AES-256-GCM, with the encryption key derived using scrypt from a random local secret.
+// Each set of credentials has its own salt and IV, with files readable only by the user Homebridge runs as
+//
+// NOTE: The secret is kept alongside the encrypted credentials in Homebridge's storage path, so this only obfuscates
+// credentials at rest, ie: in backups or when viewing the files. Anyone able to read both files can decrypt them
+//
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import { Buffer } from 'node:buffer';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Define constants
+const SECRET_FILE = 'SolarEdgeAccfactory.secret';
+const CREDENTIALS_FILE = 'SolarEdgeAccfactory.credentials.json';
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+
+export default class CredentialStore {
+  storagePath = undefined;
+
+  // Internal data only for this class
+  #secret = undefined; // Local secret used to derive encryption keys
+  #credentials = {}; // Encrypted credentials, key'd by id
+
+  constructor(storagePath) {
+    this.storagePath = storagePath;
+
+    // Load our local secret, creating one if we don't have it yet
+    try {
+      this.#secret = fs.readFileSync(path.join(storagePath, SECRET_FILE), 'utf8').trim();
+    } catch {
+      this.#secret = crypto.randomBytes(KEY_LENGTH).toString('hex');
+      fs.writeFileSync(path.join(storagePath, SECRET_FILE), this.#secret, { encoding: 'utf8', mode: 0o600 });
+    }
+
+    try {
+      let credentials = JSON.parse(fs.readFileSync(path.join(storagePath, CREDENTIALS_FILE), 'utf8'));
+      this.#credentials = typeof credentials === 'object' && credentials !== null ? credentials : {};
+    } catch {
+      // No stored credentials yet
+    }
+  }
+
+  has(id) {
+    return typeof this.#credentials?.[id] === 'object';
+  }
+
+  get(id) {
+    // Decrypt the stored credentials for this id. Returns undefined if there are none or they can't be decrypted
+    let stored = this.#credentials?.[id];
+    if (typeof stored !== 'object') {
+      return undefined;
+    }
+
+    try {
+      let key = crypto.scryptSync(this.#secret, Buffer.from(stored.salt, 'base64'), KEY_LENGTH);
+      let decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(stored.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+
+      return JSON.parse(Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]).toString('utf8'));
+    } catch {
+      return undefined;
+    }
+  }
+
+  set(id, value) {
+    // Encrypt and store credentials for this id, saving all stored credentials to disk
+    let salt = crypto.randomBytes(16);
+    let iv = crypto.randomBytes(12);
+    let key = crypto.scryptSync(this.#secret, salt, KEY_LENGTH);
+    let cipher = crypto.createCipheriv(CIPHER, key, iv);
+    let data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+    this.#credentials[id] = {
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+
+    fs.writeFileSync(path.join(this.storagePath, CREDENTIALS_FILE), JSON.stringify(this.#credentials, null, 2), {
+      encoding: 'utf8',
+      mode: 0o600,
+    });
+  }
+}
@@ -4,21 +4,63 @@
 // v1 API - https://www.solaredge.com/sites/default/files/se_monitoring_api.pdf
 // v2 API - https://developers.solaredge.com/docs/monitoring/e9nwvc91l1jf5-getting-started-with-monitoring-api
 //
+// Either version of the API can be used per connection. v2 responses are mapped into the v1 formats
+// A built-in simulator of the API can be enabled for development and testing offline
+// Inverters can also be read locally via Modbus TCP (SunSpec), with the data mapped into the v1 formats
+//
 // Expose "outlet" service with additonal battery service
 //  Outlet On = Generating Solar
 //  Outlet Off = Not generating Solar
+//  Eve Energy = Inverter's own AC power, voltage and current from its equipment telemetry
 //
 //  Battery Level = Percentage of solar generating vs max system specs
 //  Battery Charging Yes = Generating solar and exporting to grid
 //  Battery Charging No = Generating solar only, not exprting to grid
 //  Low battery indicator = Importing from grid
+//  Fault = Inverter reporting a fault, or the site's solar production is well below what's expected for clear sky
+//
+// The services used for inverters can be changed using a profile, with the power driving them being the inverter's
+// production, or the site's export or consumption
+//  default = Outlet, with hidden battery and light sensor services
+//  outlet = Outlet and battery
+//  light = Light sensor only, with power as LUX
+//  eve = Outlet only, for Eve Energy
+//  fan = Fan, with speed as the percentage of peak power
+//
+// Grid and household consumption are exposed as their own accessories, each with an outlet service for Eve Energy history
+//  Grid Outlet On = Importing from grid, with a second "Export" outlet On = Exporting to grid
+//  Home Consumption Outlet On = Household is consuming power
+//
+// History missed while Homebridge or the API is unavailable is backfilled from the API once we're receiving data again
+//
+// Sites with several inverters also have a site accessory for the whole site's solar production, working as per an inverter
+//
+// Environmental sensors attached to a site, ie: irradiance, ambient and module temperature, are exposed per gateway
+//  Temperature sensors = Ambient and module temperature
+//  LightSensor = Irradiance in W/m2 as a LUX reading
+//  Wind speed = Custom characteristic shown by EveHome and other HomeKit apps
+//
+// SolarEdge batteries (StorEdge) are exposed as their own accessory with a battery service
+//  Battery Level = State of charge
+//  Charging state = Charging/Discharging/Idle
+//  Low battery indicator = Low state of charge, critical or fault reported by battery
+//
+// Power thresholds from the configuration are exposed as occupancy or contact sensors for automations, ie: excess solar
+//  Occupancy detected/Contact open = Power above threshold for the configured delay
+//  Occupancy not detected/Contact closed = Power dropped below threshold, less any hysteresis
+//
+// Grid availability is optionally exposed as a contact or leak sensor, for sites with backup power ie: Energy Hub
+//  Contact open/Leak detected = Grid is down or the site is running on backup power
+//  Contact closed/No leak = Grid is available
 //
 // Mark Hulskamp
 'use strict';
 
 // Define nodejs module requirements
-import { clearInterval, setTimeout } from 'node:timers';
+import { clearInterval, clearTimeout, setTimeout } from 'node:timers';
 import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
 
 // Import our modules
 import HomeKitDevice from './HomeKitDevice.js';
@@ -28,47 +70,132 @@ HomeKitDevice.PLATFORM_NAME = 'SolarEdgeAccfactory';
 import HomeKitHistory from './HomeKitHistory.js';
 HomeKitDevice.HISTORY = HomeKitHistory;
 
+import SolarEdgeModbus from './modbus.js';
+import CredentialStore from './credentials.js';
+import MetricsServer from './metrics.js';
+import MQTTClient from './mqtt.js';
+import TariffCalculator from './tariff.js';
+import SolarEdgeSimulator from './simulator.js';
+
 // Solar Inverter class
 class SolarInverter extends HomeKitDevice {
   static TYPE = 'SolarInverter';
-  static VERSION = '2025.06.17'; // Code version
+  static VERSION = '2026.10.19'; // Code version
 
   batteryService = undefined;
   outletService = undefined;
   lightService = undefined;
+  fanService = undefined;
+
+  // Internal data only for this class
+  #historyTime = 0; // Time of the last history entry we've recorded
+  #staleTimer = undefined; // Timer to flag the inverter's data as stale if we don't receive fresh data
+  #stale = false; // Inverter's data hasn't changed for the configured stale time
 
   // Class functions
   onAdd() {
-    // Setup the outlet service if not already present on the accessory
-    this.outletService = this.addHKService(this.hap.Service.Outlet, '', 1);
-    this.outletService.setPrimaryService();
-
-    // Setup set characteristics
-    this.addHKCharacteristic(this.outletService, this.hap.Characteristic.On, {
-      // eslint-disable-next-line no-unused-vars
-      onSet: (value) => {
-        // Reject manual changes and revert to current inverter state
-        setTimeout(() => {
-          this.outletService.updateCharacteristic(
-            this.hap.Characteristic.On,
-            this.deviceData?.powerflow?.PV?.currentPower !== 0 || this.deviceData?.powerflow?.PV?.status?.toUpperCase() === 'ACTIVE',
-          );
-        }, 100);
-      },
+    // Setup the services for the inverter's profile. Services from a previously configured profile are removed, so cached
+    // accessories change over cleanly when the profile is changed
+    let profile = INVERTER_PROFILES?.[this.deviceData?.profile] ?? INVERTER_PROFILES.default;
+    [
+      ['outlet', this.hap.Service.Outlet],
+      ['battery', this.hap.Service.Battery],
+      ['light', this.hap.Service.LightSensor],
+      ['fan', this.hap.Service.Fanv2],
+    ].forEach(([key, serviceType]) => {
+      let service = this.accessory?.getService?.(serviceType);
+      if (profile?.[key] === undefined && service !== undefined) {
+        this.accessory.removeService(service);
+      }
     });
 
-    // Setup battery service if not already present on the accessory
-    this.batteryService = this.addHKService(this.hap.Service.Battery, '', 1);
-    this.batteryService.setHiddenService(true);
-    this.batteryService.getCharacteristic(this.hap.Characteristic.BatteryLevel).displayName = 'Solar Generation';
-    this.batteryService.getCharacteristic(this.hap.Characteristic.ChargingState).displayName = 'Exporting';
+    if (profile?.outlet !== undefined) {
+      // Setup the outlet service if not already present on the accessory
+      this.outletService = this.addHKService(this.hap.Service.Outlet, '', 1);
+      this.addHKCharacteristic(this.outletService, this.hap.Characteristic.StatusFault);
+      this.addHKCharacteristic(this.outletService, this.hap.Characteristic.StatusActive);
+
+      // Setup set characteristics
+      this.addHKCharacteristic(this.outletService, this.hap.Characteristic.On, {
+        // eslint-disable-next-line no-unused-vars
+        onSet: (value) => {
+          // Reject manual changes and revert to current inverter state
+          setTimeout(() => {
+            this.outletService.updateCharacteristic(this.hap.Characteristic.On, this.#isOn(this.deviceData));
+          }, 100);
+        },
+      });
+    }
+
+    if (profile?.battery !== undefined) {
+      // Setup battery service if not already present on the accessory
+      this.batteryService = this.addHKService(this.hap.Service.Battery, '', 1);
+      this.batteryService.getCharacteristic(this.hap.Characteristic.BatteryLevel).displayName = 'Solar Generation';
+      this.batteryService.getCharacteristic(this.hap.Characteristic.ChargingState).displayName = 'Exporting';
+    }
+
+    if (profile?.light !== undefined) {
+      // Setup LightSensor service for solar generation LUX
+      this.lightService = this.addHKService(this.hap.Service.LightSensor, '', 1);
+      this.addHKCharacteristic(this.lightService, this.hap.Characteristic.CurrentAmbientLightLevel);
+      this.addHKCharacteristic(this.lightService, this.hap.Characteristic.StatusFault);
+      this.addHKCharacteristic(this.lightService, this.hap.Characteristic.StatusActive);
+      this.lightService.getCharacteristic(this.hap.Characteristic.CurrentAmbientLightLevel).displayName = 'Solar Generation';
+    }
 
-    // Setup LightSensor service for solar generation LUX
-    this.lightService = this.addHKService(this.hap.Service.LightSensor, '', 1);
-    this.lightService.setHiddenService(true);
+    if (profile?.fan !== undefined) {
+      // Setup fan service for solar generation as a percentage of peak power
+      this.fanService = this.addHKService(this.hap.Service.Fanv2, '', 1);
+      this.addHKCharacteristic(this.fanService, this.hap.Characteristic.Active, {
+        // eslint-disable-next-line no-unused-vars
+        onSet: (value) => {
+          // Reject manual changes and revert to current inverter state
+          setTimeout(() => {
+            this.fanService.updateCharacteristic(this.hap.Characteristic.Active, this.#isOn(this.deviceData) === true ? 1 : 0);
+          }, 100);
+        },
+      });
+      this.addHKCharacteristic(this.fanService, this.hap.Characteristic.RotationSpeed, {
+        // eslint-disable-next-line no-unused-vars
+        onSet: (value) => {
+          // Reject manual changes and revert to current solar generation
+          setTimeout(() => {
+            this.fanService.updateCharacteristic(this.hap.Characteristic.RotationSpeed, this.#getLevel(this.deviceData));
+          }, 100);
+        },
+      });
+      this.fanService.getCharacteristic(this.hap.Characteristic.RotationSpeed).displayName = 'Solar Generation';
+    }
+
+    // Show or hide the services as per the profile
+    [
+      ['outlet', this.outletService],
+      ['battery', this.batteryService],
+      ['light', this.lightService],
+      ['fan', this.fanService],
+    ].forEach(([key, service]) => {
+      if (service === undefined) {
+        return;
+      }
+
+      service.setHiddenService(profile[key] === 'hidden');
+      if (profile[key] === 'primary') {
+        service.setPrimaryService();
+      }
+    });
 
-    this.addHKCharacteristic(this.lightService, this.hap.Characteristic.CurrentAmbientLightLevel);
-    this.lightService.getCharacteristic(this.hap.Characteristic.CurrentAmbientLightLevel).displayName = 'Solar Generation';
+    // Setup custom characteristics on the primary service for today's and this month's costs if we have a tariff configured
+    // Costs are only for the site's accessory, being the site's only inverter or its site accessory if it has several
+    // These aren't shown by Apple's Home app, but are by EveHome and other HomeKit apps
+    let costService = typeof this.deviceData?.tariff === 'object' ? this.#getPrimaryService() : undefined;
+    [this.outletService, this.batteryService, this.lightService, this.fanService]
+      .filter((service) => service !== costService)
+      .forEach((service) => removeCostCharacteristics(service));
+    if (costService !== undefined) {
+      COST_CHARACTERISTICS.forEach((cost) => {
+        this.addHKCharacteristic(costService, getCustomCharacteristic(this.hap, cost.name, cost.uuid));
+      });
+    }
 
     // Setup linkage to EveHome app if configured todo so
     if (
@@ -83,26 +210,61 @@ class SolarInverter extends HomeKitDevice {
     }
   }
 
+  onRemove() {
+    clearTimeout(this.#staleTimer);
+  }
+
   onUpdate(deviceData) {
-    if (typeof deviceData !== 'object' || this.outletService === undefined || this.batteryService === undefined) {
+    if (
+      typeof deviceData !== 'object' ||
+      (this.outletService === undefined &&
+        this.batteryService === undefined &&
+        this.lightService === undefined &&
+        this.fanService === undefined)
+    ) {
       return;
     }
 
+    // Log changes in the inverter's reported state
+    if (this.deviceData.status !== 'FAULT' && deviceData.status === 'FAULT') {
+      this?.log?.warn?.(
+        'Inverter "%s" is reporting a fault (%s%s)',
+        deviceData.description,
+        deviceData.inverterMode,
+        deviceData.errorCode > 0 ? ', vendor status ' + deviceData.errorCode : '',
+      );
+    }
+    if (this.deviceData.status !== 'OFF' && deviceData.status === 'OFF') {
+      this?.log?.warn?.('Inverter "%s" has been switched off (%s)', deviceData.description, deviceData.inverterMode);
+    }
+    if (['FAULT', 'OFF'].includes(this.deviceData.status) === true && deviceData.status === 'NORMAL') {
+      this?.log?.success?.('Inverter "%s" is operating normally again', deviceData.description);
+    }
+
+    // Work out if the inverter's data has gone stale, ie: the cloud has stopped updating while the inverter is generating
+    // If fresh, we'll flag the data as stale once the stale time passes without us receiving updated data
+    // Data restored from a snapshot at startup or received while not generating isn't expected to change, so never counts as stale
+    let expectChange = deviceData.stale !== true && deviceData.generating === true;
+    clearTimeout(this.#staleTimer);
+    this.#updateStale(deviceData, expectChange === true && Date.now() - deviceData.dataTime >= deviceData.staleTime);
+    if (this.#stale === false && expectChange === true) {
+      this.#staleTimer = setTimeout(() => this.#updateStale(deviceData, true), deviceData.dataTime + deviceData.staleTime - Date.now());
+    }
+
     // Update energy flows
-    this.outletService.updateCharacteristic(
-      this.hap.Characteristic.On,
-      deviceData.powerflow.PV.currentPower !== 0 || deviceData.powerflow.PV.status.toUpperCase() === 'ACTIVE' ? true : false,
-    );
-    this.outletService.updateCharacteristic(
-      this.hap.Characteristic.OutletInUse,
-      deviceData.powerflow.PV.currentPower !== 0 || deviceData.powerflow.PV.status.toUpperCase() === 'ACTIVE' ? true : false,
-    );
+    this.outletService?.updateCharacteristic?.(this.hap.Characteristic.On, this.#isOn(deviceData));
+    this.outletService?.updateCharacteristic?.(this.hap.Characteristic.OutletInUse, this.#isOn(deviceData));
+
+    // Update fan state and speed
+    this.fanService?.updateCharacteristic?.(this.hap.Characteristic.Active, this.#isOn(deviceData) === true ? 1 : 0);
+    this.fanService?.updateCharacteristic?.(this.hap.Characteristic.RotationSpeed, this.#getLevel(deviceData));
 
     // Update battery level and status
-    let batteryLevel = scaleValue(deviceData.powerflow.PV.currentPower, 0, deviceData.peakPower, 0, 100);
-    this.batteryService.updateCharacteristic(this.hap.Characteristic.BatteryLevel, batteryLevel);
-    this.batteryService.updateCharacteristic(this.hap.Characteristic.ChargingState, this.hap.Characteristic.ChargingState.NOT_CHARGING); // By default, not sending power to grid. gets updated below
-    deviceData.powerflow.connections &&
+    this.batteryService?.updateCharacteristic?.(this.hap.Characteristic.BatteryLevel, this.#getLevel(deviceData));
+    // By default, not sending power to grid. gets updated below
+    this.batteryService?.updateCharacteristic?.(this.hap.Characteristic.ChargingState, this.hap.Characteristic.ChargingState.NOT_CHARGING);
+    this.batteryService !== undefined &&
+      deviceData.powerflow.connections &&
       deviceData.powerflow.connections.forEach((flow) => {
         // Work out how the power is flowing
         if (flow.from.toUpperCase() === 'LOAD' && flow.to.toUpperCase() === 'GRID') {
@@ -126,24 +288,58 @@ class SolarInverter extends HomeKitDevice {
         }
       });
 
+    // Update today's and this month's costs if we have a tariff configured
+    if (typeof deviceData.tariff === 'object') {
+      COST_CHARACTERISTICS.forEach((cost) => {
+        this.#getPrimaryService()?.updateCharacteristic?.(
+          getCustomCharacteristic(this.hap, cost.name, cost.uuid),
+          Number(cost.value(deviceData.tariff)) || 0,
+        );
+      });
+    }
+
     // Solar generation in watts as a LUX reading
-    this.lightService.updateCharacteristic(
+    this.lightService?.updateCharacteristic?.(
       this.hap.Characteristic.CurrentAmbientLightLevel,
-      deviceData.powerflow.PV.currentPower < 0.0001 ? 0.0001 : deviceData.powerflow.PV.currentPower,
+      this.#getPower(deviceData) < 0.0001 ? 0.0001 : this.#getPower(deviceData),
     );
 
+    // Replay any history missed while Homebridge or the API was unavailable, before recording the current reading
+    if (
+      Array.isArray(deviceData.history) === true &&
+      this.outletService !== undefined &&
+      typeof this.historyService?.addHistory === 'function'
+    ) {
+      deviceData.history
+        .filter((entry) => entry.time > this.#historyTime)
+        .forEach((entry) => {
+          this.historyService.addHistory(
+            this.outletService,
+            {
+              time: entry.time,
+              status: entry.watts > 0 ? 1 : 0,
+              volts: entry.volts,
+              watts: entry.watts,
+              amps: entry.amps,
+            },
+            120,
+          );
+          this.#historyTime = entry.time;
+        });
+    }
+
     // If we have the history service running and power output has changed to previous in past 2mins
-    if (this.outletService !== undefined && typeof this.historyService?.addHistory === 'function') {
+    // Data restored from our last snapshot is already in history, so isn't recorded again
+    if (deviceData.stale !== true && this.outletService !== undefined && typeof this.historyService?.addHistory === 'function') {
+      this.#historyTime = Math.floor(Date.now() / 1000);
       this.historyService.addHistory(
         this.outletService,
         {
-          time: Math.floor(Date.now() / 1000),
-          status: (deviceData.powerflow.PV.currentPower !== 0 || deviceData.powerflow.PV.status.toUpperCase() === 'ACTIVE' ? true : false)
-            ? 1
-            : 0,
-          volts: 0,
-          watts: deviceData.powerflow.PV.currentPower,
-          amps: 0,
+          time: this.#historyTime,
+          status: deviceData.generating === true ? 1 : 0,
+          volts: deviceData.voltage,
+          watts: deviceData.power,
+          amps: deviceData.current,
         },
         120,
       );
@@ -156,188 +352,2533 @@ class SolarInverter extends HomeKitDevice {
       typeof this.historyService?.updateEveHome === 'function'
     ) {
       // Update our internal data with properties Eve will need to process
-      this.deviceData.powerflow.PV.currentPower = deviceData.powerflow.PV.currentPower;
+      this.deviceData.power = deviceData.power;
+      this.deviceData.voltage = deviceData.voltage;
+      this.deviceData.current = deviceData.current;
+      this.deviceData.energy = deviceData.energy;
       this.historyService.updateEveHome(this.outletService, this.#EveHomeGetcommand.bind(this));
     }
   }
 
+  #updateStale(deviceData, stale) {
+    if (this.#stale === false && stale === true) {
+      this?.log?.warn?.(
+        'Data for inverter "%s" has not changed for over %s minutes. Status will show as inactive until fresh data is received',
+        deviceData.description,
+        Math.round(deviceData.staleTime / 60000),
+      );
+    }
+    if (this.#stale === true && stale === false) {
+      this?.log?.success?.('Receiving fresh data for inverter "%s" again', deviceData.description);
+    }
+    this.#stale = stale;
+
+    // Fault is an inverter fault or the site underperforming. Active is the inverter switched on with fresh data
+    [this.outletService, this.lightService].forEach((service) => {
+      service?.updateCharacteristic?.(
+        this.hap.Characteristic.StatusFault,
+        deviceData.status === 'FAULT' || deviceData.underperforming === true
+          ? this.hap.Characteristic.StatusFault.GENERAL_FAULT
+          : this.hap.Characteristic.StatusFault.NO_FAULT,
+      );
+      service?.updateCharacteristic?.(this.hap.Characteristic.StatusActive, deviceData.status !== 'OFF' && stale === false);
+    });
+  }
+
+  #getPower(deviceData) {
+    // Power driving the inverter's characteristics, being its own production or the site's export or consumption
+    return deviceData?.measure === 'export'
+      ? deviceData.exportPower
+      : deviceData?.measure === 'consumption'
+        ? deviceData.consumptionPower
+        : deviceData?.power;
+  }
+
+  #getLevel(deviceData) {
+    // Power driving the inverter's characteristics as a percentage of peak power
+    return scaleValue(this.#getPower(deviceData), 0, deviceData?.peakPower, 0, 100);
+  }
+
+  #getPrimaryService() {
+    // Primary service for the inverter's profile
+    let profile = INVERTER_PROFILES?.[this.deviceData?.profile] ?? INVERTER_PROFILES.default;
+    let services = { outlet: this.outletService, battery: this.batteryService, light: this.lightService, fan: this.fanService };
+
+    return services?.[Object.keys(services).find((key) => profile?.[key] === 'primary')];
+  }
+
+  #isOn(deviceData) {
+    // Generating when driven by the inverter's production, otherwise when there's export or consumption
+    return deviceData?.measure === 'export' || deviceData?.measure === 'consumption'
+      ? this.#getPower(deviceData) > 0
+      : deviceData?.generating === true;
+  }
+
   #EveHomeGetcommand(EveHomeGetData) {
     // Pass back extra data for Eve Energy onGet() to process command
     // Data will already be an object, our only job is to add/modify it
     if (typeof EveHomeGetData === 'object') {
-      EveHomeGetData.volts = 0;
-      EveHomeGetData.watts = this.deviceData.powerflow.PV.currentPower;
-      EveHomeGetData.amps = 0;
+      EveHomeGetData.volts = this.deviceData.voltage;
+      EveHomeGetData.watts = this.deviceData.power;
+      EveHomeGetData.amps = this.deviceData.current;
+      if (this.deviceData?.energy?.lifetime !== undefined) {
+        // Use lifetime production as reported by SolarEdge, rather than having it calculated from history
+        EveHomeGetData.totalconsumption = this.deviceData.energy.lifetime;
+      }
     }
 
     return EveHomeGetData;
   }
 }
 
-// SolarEdge class
-const SUBSCRIBE_INTERVAL = 1000 * 60 * 10; // every 10minutes
+// Solar Site class
+// Whole site's solar production, for sites with several inverters. Works as per an inverter using the site's totals
+class SolarSite extends SolarInverter {
+  static TYPE = 'SolarSite';
+  static VERSION = '2026.10.19'; // Code version
+}
 
-class SolarEdgeAccfactory {
-  cachedAccessories = []; // Track restored cached accessories
+// Solar Battery class
+const LOW_BATTERY_LEVEL = 10; // Percentage of charge we'll flag as low
 
-  // Internal data only for this class
-  #connections = {}; // Object of confirmed connections
-  #rawData = {}; // Cached copy of data from Rest API
-  #trackedDevices = {}; // Object of devices we've created. used to track comms uuid. key'd by serial #
+class SolarBattery extends HomeKitDevice {
+  static TYPE = 'SolarBattery';
+  static VERSION = '2026.10.19'; // Code version
 
-  constructor(log, config, api) {
-    this.config = config;
-    this.log = log;
-    this.api = api;
+  batteryService = undefined;
+  outletService = undefined;
 
-    // Perform validation on the configuration passed into us and set defaults if not present
-    if (config?.solaredge?.apiKey === undefined || config.solaredge.apiKey === '') {
-      this?.log?.error?.('Required SolarEdge API Key is missing from JSON configuration. Please review');
+  // Class functions
+  onAdd() {
+    // Setup the battery service if not already present on the accessory
+    this.batteryService = this.addHKService(this.hap.Service.Battery, '', 1);
+    this.batteryService.setPrimaryService();
+
+    // Setup the outlet service if not already present on the accessory
+    // We use this to show when the battery is charging/discharging and to provide power history in EveHome
+    this.outletService = this.addHKService(this.hap.Service.Outlet, '', 1);
+    this.addHKCharacteristic(this.outletService, this.hap.Characteristic.On, {
+      // eslint-disable-next-line no-unused-vars
+      onSet: (value) => {
+        // Reject manual changes and revert to current battery state
+        setTimeout(() => {
+          this.outletService.updateCharacteristic(this.hap.Characteristic.On, this.deviceData?.status !== 'IDLE');
+        }, 100);
+      },
+    });
+
+    // Setup linkage to EveHome app if configured todo so
+    if (
+      this.deviceData?.eveHistory === true &&
+      this.outletService !== undefined &&
+      typeof this.historyService?.linkToEveHome === 'function'
+    ) {
+      this.historyService.linkToEveHome(this.outletService, {
+        description: this.deviceData.description,
+        getcommand: this.#EveHomeGetcommand.bind(this),
+      });
+    }
+  }
+
+  onUpdate(deviceData) {
+    if (typeof deviceData !== 'object' || this.outletService === undefined || this.batteryService === undefined) {
       return;
     }
 
-    // Valid connection object
-    this.#connections[crypto.randomUUID()] = {
-      authorised: false,
-      apiKey: config.solaredge.apiKey,
-    };
+    // Update battery level and status
+    this.batteryService.updateCharacteristic(this.hap.Characteristic.BatteryLevel, deviceData.chargeLevel);
+    this.batteryService.updateCharacteristic(
+      this.hap.Characteristic.ChargingState,
+      deviceData.status === 'CHARGING'
+        ? this.hap.Characteristic.ChargingState.CHARGING
+        : this.hap.Characteristic.ChargingState.NOT_CHARGING,
+    );
+    this.batteryService.updateCharacteristic(
+      this.hap.Characteristic.StatusLowBattery,
+      deviceData.chargeLevel <= LOW_BATTERY_LEVEL || deviceData.critical === true || deviceData.fault === true
+        ? this.hap.Characteristic.StatusLowBattery.BATTERY_LEVEL_LOW
+        : this.hap.Characteristic.StatusLowBattery.BATTERY_LEVEL_NORMAL,
+    );
 
-    this.config.options.eveHistory = typeof this.config.options?.eveHistory === 'boolean' ? this.config.options.eveHistory : true;
+    // Outlet on/in use reflects battery either charging or discharging
+    this.outletService.updateCharacteristic(this.hap.Characteristic.On, deviceData.status !== 'IDLE');
+    this.outletService.updateCharacteristic(this.hap.Characteristic.OutletInUse, deviceData.status !== 'IDLE');
 
-    api?.on?.('didFinishLaunching', async () => {
-      // We got notified that Homebridge has finished loading, so we are ready to process
-      // Start reconnect loop per connection with backoff for failed tries
-      for (const uuid of Object.keys(this.#connections)) {
-        let reconnectDelay = 15000;
+    if (this.deviceData.fault !== true && deviceData.fault === true) {
+      this?.log?.warn?.('Battery "%s" is reporting a fault', deviceData.description);
+    }
 
-        const reconnectLoop = async () => {
-          if (this.#connections?.[uuid]?.authorised === false) {
-            try {
-              await this.#connect(uuid);
-              this.#subscribeREST(uuid);
-              // eslint-disable-next-line no-unused-vars
-            } catch (error) {
-              // Empty
-            }
+    // If we have the history service running, record charge/discharge power
+    // Data restored from our last snapshot is already in history, so isn't recorded again
+    if (deviceData.stale !== true && this.outletService !== undefined && typeof this.historyService?.addHistory === 'function') {
+      this.historyService.addHistory(
+        this.outletService,
+        {
+          time: Math.floor(Date.now() / 1000),
+          status: deviceData.status !== 'IDLE' ? 1 : 0,
+          volts: 0,
+          watts: Math.abs(deviceData.power),
+          amps: 0,
+        },
+        120,
+      );
+    }
 
-            reconnectDelay = this.#connections?.[uuid]?.authorised === true ? 15000 : Math.min(reconnectDelay * 2, 60000);
-          } else {
-            reconnectDelay = 15000;
-          }
+    // Notify Eve App of device status changes if linked
+    if (
+      this.deviceData.eveHistory === true &&
+      this.outletService !== undefined &&
+      typeof this.historyService?.updateEveHome === 'function'
+    ) {
+      // Update our internal data with properties Eve will need to process
+      this.deviceData.power = deviceData.power;
+      this.historyService.updateEveHome(this.outletService, this.#EveHomeGetcommand.bind(this));
+    }
+  }
 
-          setTimeout(reconnectLoop, reconnectDelay);
-        };
+  #EveHomeGetcommand(EveHomeGetData) {
+    // Pass back extra data for Eve Energy onGet() to process command
+    // Data will already be an object, our only job is to add/modify it
+    if (typeof EveHomeGetData === 'object') {
+      EveHomeGetData.volts = 0;
+      EveHomeGetData.watts = Math.abs(this.deviceData.power);
+      EveHomeGetData.amps = 0;
+    }
 
-        reconnectLoop();
-      }
-    });
+    return EveHomeGetData;
+  }
+}
 
-    api?.on?.('shutdown', async () => {
-      // We got notified that Homebridge is shutting down
-      // Perform cleanup of internal state
-      Object.values(this.#trackedDevices).forEach((device) => {
-        Object.values(device?.timers || {}).forEach((timer) => clearInterval(timer));
-      });
+// Grid Meter class
+class GridMeter extends HomeKitDevice {
+  static TYPE = 'GridMeter';
+  static VERSION = '2026.10.19'; // Code version
 
-      this.#trackedDevices = {};
-      this.#rawData = {};
+  importService = undefined;
+  exportService = undefined;
+
+  // Internal data only for this class
+  #historyTime = 0; // Time of the last history entry we've recorded
+
+  // Class functions
+  onAdd() {
+    // Setup the outlet service for importing from the grid if not already present on the accessory
+    this.importService = this.addHKService(this.hap.Service.Outlet, '', 1);
+    this.importService.setPrimaryService();
+    this.addHKCharacteristic(this.importService, this.hap.Characteristic.On, {
+      // eslint-disable-next-line no-unused-vars
+      onSet: (value) => {
+        // Reject manual changes and revert to current import state
+        setTimeout(() => {
+          this.importService.updateCharacteristic(this.hap.Characteristic.On, this.deviceData?.importPower > 0);
+        }, 100);
+      },
     });
-  }
 
-  configureAccessory(accessory) {
-    // This gets called from Homebridge each time it restores an accessory from its cache
-    this?.log?.info?.('Loading accessory from cache:', accessory.displayName);
+    // Setup the outlet service for exporting to the grid if not already present on the accessory
+    this.exportService = this.addHKService(this.hap.Service.Outlet, 'Export', 2);
+    this.addHKCharacteristic(this.exportService, this.hap.Characteristic.On, {
+      // eslint-disable-next-line no-unused-vars
+      onSet: (value) => {
+        // Reject manual changes and revert to current export state
+        setTimeout(() => {
+          this.exportService.updateCharacteristic(this.hap.Characteristic.On, this.deviceData?.exportPower > 0);
+        }, 100);
+      },
+    });
 
-    // add the restored accessory to the accessories cache, so we can track if it has already been registered
-    this.cachedAccessories.push(accessory);
+    // Costs are shown on the site's accessory, so remove any cost characteristics from when they were shown here
+    removeCostCharacteristics(this.importService);
+
+    // Setup linkage to EveHome app if configured todo so
+    // EveHome energy is linked to the import service, with export history also recorded against the export service
+    if (
+      this.deviceData?.eveHistory === true &&
+      this.importService !== undefined &&
+      typeof this.historyService?.linkToEveHome === 'function'
+    ) {
+      this.historyService.linkToEveHome(this.importService, {
+        description: this.deviceData.description,
+        getcommand: this.#EveHomeGetcommand.bind(this),
+      });
+    }
   }
 
-  async #connect(uuid) {
-    if (typeof this.#connections?.[uuid] === 'object') {
-      this?.log?.info?.('Performing authorisation to SolarEdge Monitoring API');
+  onUpdate(deviceData) {
+    if (typeof deviceData !== 'object' || this.importService === undefined || this.exportService === undefined) {
+      return;
+    }
+
+    this.importService.updateCharacteristic(this.hap.Characteristic.On, deviceData.importPower > 0);
+    this.importService.updateCharacteristic(this.hap.Characteristic.OutletInUse, deviceData.importPower > 0);
+    this.exportService.updateCharacteristic(this.hap.Characteristic.On, deviceData.exportPower > 0);
+    this.exportService.updateCharacteristic(this.hap.Characteristic.OutletInUse, deviceData.exportPower > 0);
+
+    // Replay any history missed while Homebridge or the API was unavailable, before recording the current reading
+    if (Array.isArray(deviceData.history) === true && typeof this.historyService?.addHistory === 'function') {
+      deviceData.history
+        .filter((entry) => entry.time > this.#historyTime)
+        .forEach((entry) => {
+          this.historyService.addHistory(
+            this.importService,
+            { time: entry.time, status: entry.importPower > 0 ? 1 : 0, volts: 0, watts: entry.importPower, amps: 0 },
+            120,
+          );
+          this.historyService.addHistory(
+            this.exportService,
+            { time: entry.time, status: entry.exportPower > 0 ? 1 : 0, volts: 0, watts: entry.exportPower, amps: 0 },
+            120,
+          );
+          this.#historyTime = entry.time;
+        });
+    }
+
+    // If we have the history service running, record import and export power
+    // Data restored from our last snapshot is already in history, so isn't recorded again
+    if (deviceData.stale !== true && typeof this.historyService?.addHistory === 'function') {
+      this.#historyTime = Math.floor(Date.now() / 1000);
+      this.historyService.addHistory(
+        this.importService,
+        {
+          time: this.#historyTime,
+          status: deviceData.importPower > 0 ? 1 : 0,
+          volts: 0,
+          watts: deviceData.importPower,
+          amps: 0,
+        },
+        120,
+      );
+      this.historyService.addHistory(
+        this.exportService,
+        {
+          time: this.#historyTime,
+          status: deviceData.exportPower > 0 ? 1 : 0,
+          volts: 0,
+          watts: deviceData.exportPower,
+          amps: 0,
+        },
+        120,
+      );
+    }
+
+    // Notify Eve App of device status changes if linked
+    if (
+      this.deviceData.eveHistory === true &&
+      this.importService !== undefined &&
+      typeof this.historyService?.updateEveHome === 'function'
+    ) {
+      // Update our internal data with properties Eve will need to process
+      this.deviceData.importPower = deviceData.importPower;
+      this.deviceData.importEnergy = deviceData.importEnergy;
+      this.historyService.updateEveHome(this.importService, this.#EveHomeGetcommand.bind(this));
+    }
+  }
+
+  #EveHomeGetcommand(EveHomeGetData) {
+    // Pass back extra data for Eve Energy onGet() to process command
+    // Data will already be an object, our only job is to add/modify it
+    if (typeof EveHomeGetData === 'object') {
+      EveHomeGetData.volts = 0;
+      EveHomeGetData.watts = this.deviceData.importPower;
+      EveHomeGetData.amps = 0;
+      if (this.deviceData?.importEnergy?.lifetime !== undefined) {
+        // Use lifetime import as reported by the meter, rather than having it calculated from history
+        EveHomeGetData.totalconsumption = this.deviceData.importEnergy.lifetime;
+      }
+    }
+
+    return EveHomeGetData;
+  }
+}
+
+// Consumption Meter class
+class ConsumptionMeter extends HomeKitDevice {
+  static TYPE = 'ConsumptionMeter';
+  static VERSION = '2026.10.19'; // Code version
+
+  outletService = undefined;
+
+  // Internal data only for this class
+  #historyTime = 0; // Time of the last history entry we've recorded
+
+  // Class functions
+  onAdd() {
+    // Setup the outlet service if not already present on the accessory
+    this.outletService = this.addHKService(this.hap.Service.Outlet, '', 1);
+    this.outletService.setPrimaryService();
+    this.addHKCharacteristic(this.outletService, this.hap.Characteristic.On, {
+      // eslint-disable-next-line no-unused-vars
+      onSet: (value) => {
+        // Reject manual changes and revert to current consumption state
+        setTimeout(() => {
+          this.outletService.updateCharacteristic(this.hap.Characteristic.On, this.deviceData?.power > 0);
+        }, 100);
+      },
+    });
+
+    // Setup linkage to EveHome app if configured todo so
+    if (
+      this.deviceData?.eveHistory === true &&
+      this.outletService !== undefined &&
+      typeof this.historyService?.linkToEveHome === 'function'
+    ) {
+      this.historyService.linkToEveHome(this.outletService, {
+        description: this.deviceData.description,
+        getcommand: this.#EveHomeGetcommand.bind(this),
+      });
+    }
+  }
+
+  onUpdate(deviceData) {
+    if (typeof deviceData !== 'object' || this.outletService === undefined) {
+      return;
+    }
+
+    this.outletService.updateCharacteristic(this.hap.Characteristic.On, deviceData.power > 0);
+    this.outletService.updateCharacteristic(this.hap.Characteristic.OutletInUse, deviceData.power > 0);
+
+    // Replay any history missed while Homebridge or the API was unavailable, before recording the current reading
+    if (Array.isArray(deviceData.history) === true && typeof this.historyService?.addHistory === 'function') {
+      deviceData.history
+        .filter((entry) => entry.time > this.#historyTime)
+        .forEach((entry) => {
+          this.historyService.addHistory(
+            this.outletService,
+            { time: entry.time, status: entry.watts > 0 ? 1 : 0, volts: 0, watts: entry.watts, amps: 0 },
+            120,
+          );
+          this.#historyTime = entry.time;
+        });
+    }
+
+    // If we have the history service running, record household consumption
+    // Data restored from our last snapshot is already in history, so isn't recorded again
+    if (deviceData.stale !== true && typeof this.historyService?.addHistory === 'function') {
+      this.#historyTime = Math.floor(Date.now() / 1000);
+      this.historyService.addHistory(
+        this.outletService,
+        {
+          time: this.#historyTime,
+          status: deviceData.power > 0 ? 1 : 0,
+          volts: 0,
+          watts: deviceData.power,
+          amps: 0,
+        },
+        120,
+      );
+    }
+
+    // Notify Eve App of device status changes if linked
+    if (
+      this.deviceData.eveHistory === true &&
+      this.outletService !== undefined &&
+      typeof this.historyService?.updateEveHome === 'function'
+    ) {
+      // Update our internal data with properties Eve will need to process
+      this.deviceData.power = deviceData.power;
+      this.deviceData.energy = deviceData.energy;
+      this.historyService.updateEveHome(this.outletService, this.#EveHomeGetcommand.bind(this));
+    }
+  }
+
+  #EveHomeGetcommand(EveHomeGetData) {
+    // Pass back extra data for Eve Energy onGet() to process command
+    // Data will already be an object, our only job is to add/modify it
+    if (typeof EveHomeGetData === 'object') {
+      EveHomeGetData.volts = 0;
+      EveHomeGetData.watts = this.deviceData.power;
+      EveHomeGetData.amps = 0;
+      if (this.deviceData?.energy?.lifetime !== undefined) {
+        // Use lifetime consumption as reported by the meter, rather than having it calculated from history
+        EveHomeGetData.totalconsumption = this.deviceData.energy.lifetime;
+      }
+    }
+
+    return EveHomeGetData;
+  }
+}
+
+// Power Threshold class
+class PowerThreshold extends HomeKitDevice {
+  static TYPE = 'PowerThreshold';
+  static VERSION = '2026.10.19'; // Code version
+
+  sensorService = undefined;
+
+  // Internal data only for this class
+  #triggered = false; // Power is past the threshold
+  #changedTime = 0; // Time the sensor last changed state
+  #pendingTime = undefined; // Time power first went past the threshold, while we wait for the delay
+  #timer = undefined; // Timer to re-check the threshold once the delay or hold time has passed
+
+  // Class functions
+  onAdd() {
+    // Setup the occupancy or contact sensor service if not already present on the accessory
+    // If the sensor type has been changed in the configuration, we'll remove the previous sensor service
+    let serviceType = this.deviceData?.sensor === 'contact' ? this.hap.Service.ContactSensor : this.hap.Service.OccupancySensor;
+    let previousService = this.accessory?.getService?.(
+      this.deviceData?.sensor === 'contact' ? this.hap.Service.OccupancySensor : this.hap.Service.ContactSensor,
+    );
+    if (previousService !== undefined) {
+      this.accessory.removeService(previousService);
+    }
+
+    this.sensorService = this.addHKService(serviceType, '', 1);
+    this.sensorService.setPrimaryService();
+  }
+
+  onRemove() {
+    clearTimeout(this.#timer);
+  }
+
+  onUpdate(deviceData) {
+    // We don't trigger from data restored from our last snapshot, as automations shouldn't run from old data
+    if (typeof deviceData !== 'object' || this.sensorService === undefined || deviceData.stale === true) {
+      return;
+    }
+
+    clearTimeout(this.#timer);
+    this.#checkThreshold(deviceData);
+  }
+
+  #checkThreshold(deviceData) {
+    // Power needs to be above the threshold to trigger and stays triggered until it drops below the threshold less any hysteresis
+    // Triggering waits until power has been above the threshold for the delay, and either state is held for at least the hold time
+    let now = Date.now();
+    let triggered = deviceData.power > deviceData.threshold - (this.#triggered === true ? deviceData.hysteresis : 0);
+
+    if (triggered === this.#triggered) {
+      this.#pendingTime = undefined;
+    }
+
+    if (triggered !== this.#triggered) {
+      this.#pendingTime = this.#pendingTime ?? now;
+      let changeTime = Math.max(this.#changedTime + deviceData.hold, triggered === true ? this.#pendingTime + deviceData.delay : 0);
+      if (now < changeTime) {
+        this.#timer = setTimeout(() => this.#checkThreshold(deviceData), changeTime - now);
+      }
+
+      if (now >= changeTime) {
+        this.#triggered = triggered;
+        this.#changedTime = now;
+        this.#pendingTime = undefined;
+        this?.log?.debug?.(
+          '"%s" is now %s threshold of %sW with power at %sW',
+          deviceData.description,
+          triggered === true ? 'above' : 'below',
+          deviceData.threshold,
+          deviceData.power,
+        );
+      }
+    }
+
+    if (deviceData.sensor === 'contact') {
+      this.sensorService.updateCharacteristic(
+        this.hap.Characteristic.ContactSensorState,
+        this.#triggered === true
+          ? this.hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+          : this.hap.Characteristic.ContactSensorState.CONTACT_DETECTED,
+      );
+    }
+    if (deviceData.sensor !== 'contact') {
+      this.sensorService.updateCharacteristic(
+        this.hap.Characteristic.OccupancyDetected,
+        this.#triggered === true
+          ? this.hap.Characteristic.OccupancyDetected.OCCUPANCY_DETECTED
+          : this.hap.Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED,
+      );
+    }
+  }
+}
+
+// Environment Sensor class
+const WIND_SPEED_UUID = 'C3E7D6A1-4F0B-4B8E-9D59-2E6F0A4B7C15'; // Custom characteristic for wind speed
+
+class EnvironmentSensor extends HomeKitDevice {
+  static TYPE = 'EnvironmentSensor';
+  static VERSION = '2026.10.19'; // Code version
+
+  ambientService = undefined;
+  moduleService = undefined;
+  irradianceService = undefined;
+
+  // Class functions
+  onAdd() {
+    // Setup services for the measurements the sensors provide, if not already present on the accessory
+    if (this.deviceData?.ambientTemperature !== undefined) {
+      this.ambientService = this.addHKService(this.hap.Service.TemperatureSensor, 'Ambient Temperature', 1);
+      this.ambientService.setPrimaryService();
+      if (this.deviceData?.windSpeed !== undefined) {
+        this.addHKCharacteristic(this.ambientService, getCustomCharacteristic(this.hap, 'Wind Speed', WIND_SPEED_UUID, 'm/s'));
+      }
+    }
+
+    if (this.deviceData?.moduleTemperature !== undefined) {
+      this.moduleService = this.addHKService(this.hap.Service.TemperatureSensor, 'Module Temperature', 2);
+    }
+
+    if (this.deviceData?.irradiance !== undefined) {
+      this.irradianceService = this.addHKService(this.hap.Service.LightSensor, 'Irradiance', 1);
+      this.irradianceService.getCharacteristic(this.hap.Characteristic.CurrentAmbientLightLevel).displayName = 'Irradiance';
+      if (this.ambientService === undefined) {
+        this.irradianceService.setPrimaryService();
+      }
+    }
+
+    // Setup linkage to EveHome app if configured todo so, with ambient temperature history
+    if (
+      this.deviceData?.eveHistory === true &&
+      this.ambientService !== undefined &&
+      typeof this.historyService?.linkToEveHome === 'function'
+    ) {
+      this.historyService.linkToEveHome(this.ambientService, {
+        description: this.deviceData.description,
+      });
+    }
+  }
+
+  onUpdate(deviceData) {
+    if (typeof deviceData !== 'object') {
+      return;
+    }
+
+    this.ambientService?.updateCharacteristic?.(this.hap.Characteristic.CurrentTemperature, deviceData.ambientTemperature ?? 0);
+    this.moduleService?.updateCharacteristic?.(this.hap.Characteristic.CurrentTemperature, deviceData.moduleTemperature ?? 0);
+    this.irradianceService?.updateCharacteristic?.(
+      this.hap.Characteristic.CurrentAmbientLightLevel,
+      deviceData.irradiance > 0.0001 ? deviceData.irradiance : 0.0001,
+    );
+    if (this.ambientService !== undefined && deviceData.windSpeed !== undefined) {
+      this.ambientService.updateCharacteristic(
+        getCustomCharacteristic(this.hap, 'Wind Speed', WIND_SPEED_UUID, 'm/s'),
+        Number(deviceData.windSpeed) || 0,
+      );
+    }
+
+    // Record readings to history. Data restored from our last snapshot is already in history, so isn't recorded again
+    if (deviceData.stale !== true && typeof this.historyService?.addHistory === 'function') {
+      let time = Math.floor(deviceData.time / 1000);
+      if (this.ambientService !== undefined) {
+        this.historyService.addHistory(this.ambientService, { time: time, temperature: deviceData.ambientTemperature }, 300);
+      }
+      if (this.moduleService !== undefined) {
+        this.historyService.addHistory(this.moduleService, { time: time, temperature: deviceData.moduleTemperature }, 300);
+      }
+      if (this.irradianceService !== undefined) {
+        this.historyService.addHistory(this.irradianceService, { time: time, lux: deviceData.irradiance }, 300);
+      }
+    }
+  }
+}
+
+// Grid Status class
+class GridStatus extends HomeKitDevice {
+  static TYPE = 'GridStatus';
+  static VERSION = '2026.10.19'; // Code version
+
+  sensorService = undefined;
+
+  // Internal data only for this class
+  #gridDown = undefined; // Grid is down or the site is running on backup power. Undefined until we've had live data
+  #outageTime = undefined; // Time of the data when we first saw the grid down
+
+  // Class functions
+  onAdd() {
+    // Setup the contact or leak sensor service if not already present on the accessory
+    // If the sensor type has been changed in the configuration, we'll remove the previous sensor service
+    let serviceType = this.deviceData?.sensor === 'leak' ? this.hap.Service.LeakSensor : this.hap.Service.ContactSensor;
+    let previousService = this.accessory?.getService?.(
+      this.deviceData?.sensor === 'leak' ? this.hap.Service.ContactSensor : this.hap.Service.LeakSensor,
+    );
+    if (previousService !== undefined) {
+      this.accessory.removeService(previousService);
+    }
+
+    this.sensorService = this.addHKService(serviceType, '', 1);
+    this.sensorService.setPrimaryService();
+
+    // Setup linkage to EveHome app if configured todo so. EveHome only has history for contact sensors, as Eve Door
+    if (
+      this.deviceData?.eveHistory === true &&
+      this.deviceData?.sensor !== 'leak' &&
+      typeof this.historyService?.linkToEveHome === 'function'
+    ) {
+      this.historyService.linkToEveHome(this.sensorService, {
+        description: this.deviceData.description,
+      });
+    }
+  }
+
+  onUpdate(deviceData) {
+    // We don't change state from data restored from our last snapshot, as automations shouldn't run from old data
+    if (typeof deviceData !== 'object' || this.sensorService === undefined || deviceData.stale === true) {
+      return;
+    }
+
+    // Log when an outage starts and ends, using the time of the data from the site
+    if (deviceData.gridDown === true && this.#gridDown !== true) {
+      this.#outageTime = deviceData.time;
+      this?.log?.warn?.(
+        'Grid is down at "%s" from %s%s',
+        deviceData.description,
+        new Date(deviceData.time).toLocaleString(),
+        deviceData.backup === true ? ', running on backup power' : '',
+      );
+    }
+    if (deviceData.gridDown === false && this.#gridDown === true) {
+      this?.log?.success?.(
+        'Grid is available again at "%s" from %s, after an outage of %s minutes',
+        deviceData.description,
+        new Date(deviceData.time).toLocaleString(),
+        Math.round((deviceData.time - this.#outageTime) / 60000),
+      );
+      this.#outageTime = undefined;
+    }
+
+    if (deviceData.sensor === 'leak') {
+      this.sensorService.updateCharacteristic(
+        this.hap.Characteristic.LeakDetected,
+        deviceData.gridDown === true
+          ? this.hap.Characteristic.LeakDetected.LEAK_DETECTED
+          : this.hap.Characteristic.LeakDetected.LEAK_NOT_DETECTED,
+      );
+    }
+    if (deviceData.sensor !== 'leak') {
+      this.sensorService.updateCharacteristic(
+        this.hap.Characteristic.ContactSensorState,
+        deviceData.gridDown === true
+          ? this.hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+          : this.hap.Characteristic.ContactSensorState.CONTACT_DETECTED,
+      );
+    }
+
+    // Record changes in grid availability to history
+    if (deviceData.gridDown !== this.#gridDown && typeof this.historyService?.addHistory === 'function') {
+      this.historyService.addHistory(this.sensorService, {
+        time: Math.floor(deviceData.time / 1000),
+        status: deviceData.gridDown === true ? 1 : 0, // 1 = Open, 0 = Closed
+      });
+    }
+
+    this.#gridDown = deviceData.gridDown === true;
+  }
+}
+
+// Custom characteristics for costs on the site's accessory when a tariff is configured, with their values from the tariff totals
+// Costs are in the tariff's currency. HomeKit has no unit for currency, so the characteristics don't have a unit
+const COST_CHARACTERISTICS = [
+  { name: 'Import Cost Today', uuid: '10C5346F-9824-4981-B98F-230398B2819A', value: (tariff) => tariff?.today?.importCost },
+  { name: 'Export Credit Today', uuid: '8C8F6335-224E-4A5F-9D5D-F5A255B45E06', value: (tariff) => tariff?.today?.exportCredit },
+  { name: 'Solar Savings Today', uuid: '246493CE-1D70-459B-8D1E-1E456C3DD57C', value: (tariff) => tariff?.today?.savings },
+  { name: 'Net Cost Today', uuid: '5A8DFB49-CD40-4B60-9343-1E899E44941F', value: (tariff) => tariff?.today?.netCost },
+  { name: 'Import Cost This Month', uuid: '94F749C7-CC04-43AF-A626-09051BA0E108', value: (tariff) => tariff?.month?.importCost },
+  { name: 'Export Credit This Month', uuid: '48FEFD97-3EE0-45E2-B78D-CD602DE50E76', value: (tariff) => tariff?.month?.exportCredit },
+  { name: 'Solar Savings This Month', uuid: 'EEFB504A-9302-4601-B637-BD80AE69D02A', value: (tariff) => tariff?.month?.savings },
+  { name: 'Net Cost This Month', uuid: '95AE2539-AF62-4532-8AE3-DD0CC6744DF2', value: (tariff) => tariff?.month?.netCost },
+];
+
+// Values we publish to MQTT for each device type, with how to describe them for Home Assistant discovery
+const MQTT_ENTITIES = {
+  [SolarInverter.TYPE]: [
+    mqttEntity('sensor', 'power', 'Power', 'W', 'power', (deviceData) => deviceData.power),
+    mqttEntity('sensor', 'voltage', 'Voltage', 'V', 'voltage', (deviceData) => deviceData.voltage),
+    mqttEntity('sensor', 'current', 'Current', 'A', 'current', (deviceData) => deviceData.current),
+    mqttEntity('sensor', 'frequency', 'Frequency', 'Hz', 'frequency', (deviceData) => deviceData.frequency),
+    mqttEntity('sensor', 'temperature', 'Temperature', '°C', 'temperature', (deviceData) => deviceData.temperature),
+    mqttEntity('sensor', 'energy_today', 'Energy Today', 'kWh', 'energy', (deviceData) => deviceData.energy?.today),
+    mqttEntity('sensor', 'energy_lifetime', 'Energy Lifetime', 'kWh', 'energy', (deviceData) => deviceData.energy?.lifetime),
+    mqttEntity('binary_sensor', 'generating', 'Generating', undefined, 'running', (deviceData) => deviceData.generating === true),
+    mqttEntity('binary_sensor', 'fault', 'Fault', undefined, 'problem', (deviceData) => deviceData.status === 'FAULT'),
+  ],
+  [SolarSite.TYPE]: [
+    mqttEntity('sensor', 'power', 'Power', 'W', 'power', (deviceData) => deviceData.power),
+    mqttEntity('sensor', 'energy_today', 'Energy Today', 'kWh', 'energy', (deviceData) => deviceData.energy?.today),
+    mqttEntity('sensor', 'energy_lifetime', 'Energy Lifetime', 'kWh', 'energy', (deviceData) => deviceData.energy?.lifetime),
+    mqttEntity('binary_sensor', 'generating', 'Generating', undefined, 'running', (deviceData) => deviceData.generating === true),
+    mqttEntity('binary_sensor', 'fault', 'Fault', undefined, 'problem', (deviceData) => deviceData.status === 'FAULT'),
+  ],
+  [SolarBattery.TYPE]: [
+    mqttEntity('sensor', 'charge_level', 'Charge Level', '%', 'battery', (deviceData) => deviceData.chargeLevel),
+    mqttEntity('sensor', 'power', 'Power', 'W', 'power', (deviceData) => deviceData.power),
+    mqttEntity('sensor', 'status', 'Status', undefined, undefined, (deviceData) => deviceData.status),
+  ],
+  [GridMeter.TYPE]: [
+    mqttEntity('sensor', 'import_power', 'Import Power', 'W', 'power', (deviceData) => deviceData.importPower),
+    mqttEntity('sensor', 'export_power', 'Export Power', 'W', 'power', (deviceData) => deviceData.exportPower),
+    mqttEntity('sensor', 'direction', 'Direction', undefined, undefined, (deviceData) =>
+      deviceData.importPower > 0 ? 'import' : deviceData.exportPower > 0 ? 'export' : 'idle',
+    ),
+    mqttEntity('sensor', 'import_energy_today', 'Import Energy Today', 'kWh', 'energy', (deviceData) => deviceData.importEnergy?.today),
+    mqttEntity('sensor', 'export_energy_today', 'Export Energy Today', 'kWh', 'energy', (deviceData) => deviceData.exportEnergy?.today),
+    mqttEntity(
+      'sensor',
+      'import_energy_lifetime',
+      'Import Energy Lifetime',
+      'kWh',
+      'energy',
+      (deviceData) => deviceData.importEnergy?.lifetime,
+    ),
+    mqttEntity(
+      'sensor',
+      'export_energy_lifetime',
+      'Export Energy Lifetime',
+      'kWh',
+      'energy',
+      (deviceData) => deviceData.exportEnergy?.lifetime,
+    ),
+  ],
+  [ConsumptionMeter.TYPE]: [
+    mqttEntity('sensor', 'power', 'Power', 'W', 'power', (deviceData) => deviceData.power),
+    mqttEntity('sensor', 'energy_today', 'Energy Today', 'kWh', 'energy', (deviceData) => deviceData.energy?.today),
+    mqttEntity('sensor', 'energy_lifetime', 'Energy Lifetime', 'kWh', 'energy', (deviceData) => deviceData.energy?.lifetime),
+  ],
+  [EnvironmentSensor.TYPE]: [
+    mqttEntity('sensor', 'ambient_temperature', 'Ambient Temperature', '°C', 'temperature', (deviceData) => deviceData.ambientTemperature),
+    mqttEntity('sensor', 'module_temperature', 'Module Temperature', '°C', 'temperature', (deviceData) => deviceData.moduleTemperature),
+    mqttEntity('sensor', 'irradiance', 'Irradiance', 'W/m²', 'irradiance', (deviceData) => deviceData.irradiance),
+    mqttEntity('sensor', 'wind_speed', 'Wind Speed', 'm/s', 'wind_speed', (deviceData) => deviceData.windSpeed),
+  ],
+  [GridStatus.TYPE]: [
+    mqttEntity('binary_sensor', 'grid_down', 'Grid Outage', undefined, 'problem', (deviceData) => deviceData.gridDown === true),
+    mqttEntity('binary_sensor', 'backup', 'Backup Power', undefined, 'running', (deviceData) => deviceData.backup === true),
+  ],
+};
+
+// Device types we support, along with the HomeKit accessory category and name to use when creating them
+const DEVICE_TYPES = {
+  [SolarInverter.TYPE]: { class: SolarInverter, category: 7, name: 'SolarEdge Invertor' }, // Categories.OUTLET = 7
+  [SolarSite.TYPE]: { class: SolarSite, category: 7, name: 'SolarEdge Site' }, // Categories.OUTLET = 7
+  [SolarBattery.TYPE]: { class: SolarBattery, category: 1, name: 'SolarEdge Battery' }, // Categories.OTHER = 1
+  [GridMeter.TYPE]: { class: GridMeter, category: 7, name: 'SolarEdge Grid' }, // Categories.OUTLET = 7
+  [ConsumptionMeter.TYPE]: { class: ConsumptionMeter, category: 7, name: 'SolarEdge Home Consumption' }, // Categories.OUTLET = 7
+  [PowerThreshold.TYPE]: { class: PowerThreshold, category: 10, name: 'SolarEdge Power Threshold' }, // Categories.SENSOR = 10
+  [GridStatus.TYPE]: { class: GridStatus, category: 10, name: 'SolarEdge Grid Status' }, // Categories.SENSOR = 10
+  [EnvironmentSensor.TYPE]: { class: EnvironmentSensor, category: 10, name: 'SolarEdge Sensors' }, // Categories.SENSOR = 10
+};
+
+// SolarEdge class
+const SUBSCRIBE_INTERVAL = 1000 * 60 * 10; // every 10minutes
+const MINIMUM_POLL_INTERVAL = 1000 * 60 * 3; // Fastest we'll poll the API, every 3minutes
+const NIGHT_POLL_INTERVAL = 1000 * 60 * 60; // Poll the API every hour overnight
+const SITES_REFRESH_INTERVAL = 1000 * 60 * 60; // Refresh the site list every hour
+const ENERGY_REFRESH_INTERVAL = 1000 * 60 * 60; // Refresh site energy totals every hour
+const RATE_LIMIT_BACKOFF = 1000 * 60 * 60; // Backoff for an hour if rate limited without being told how long to wait
+const FAILURE_THRESHOLD = 3; // Consecutive failed requests before we report a connection as having problems
+const DENIED_BACKOFF = 1000 * 60 * 60 * 6; // Retry a site's data we've been refused access to every 6 hours
+const HEALTH_MESSAGES = {
+  // Warnings logged when a connection starts failing for each class of error
+  auth: 'SolarEdge Monitoring API is rejecting the API Key%s. Will attempt to re-authorise periodically',
+  timeout: 'Requests to SolarEdge Monitoring API%s are timing out. Polling will slow down until requests succeed',
+  server: 'SolarEdge Monitoring API%s is having problems or is unreachable. Polling will slow down until requests succeed',
+  parse: 'SolarEdge Monitoring API%s is returning responses which cannot be processed. Polling will slow down until requests succeed',
+};
+const BACKFILL_MINIMUM_GAP = 1000 * 60 * 20; // Smallest history gap we'll backfill, more than the 15min power details resolution
+const BACKFILL_MAXIMUM = 1000 * 60 * 60 * 24 * 28; // Backfill upto 4 weeks of history, as the API limits power details to a month
+const HISTORY_FILE = 'SolarEdgeAccfactory.history.json'; // File in Homebridge's persist path for when we last sent data to devices
+const STALE_TIME = 60; // Minutes an inverter's data can remain unchanged while generating before we flag it as stale
+const FAULT_INVERTER_MODES = ['FAULT', 'LOCKED_INV_TRIP', 'LOCKED_INV_ARC_DETECTED', 'LOCKED_COMM_TIMEOUT', 'LOCKED_INTERNAL'];
+const OFF_INVERTER_MODES = ['OFF', 'LOCKED_STANDBY', 'LOCKED_FORCE_SHUTDOWN', 'LOCKED_FIRE_FIGHTERS'];
+const THRESHOLD_MEASURES = ['export', 'import', 'production', 'consumption']; // Power we can compare against a threshold
+const INVERTER_MEASURES = ['production', 'export', 'consumption']; // Power that can drive an inverter's characteristics
+const INVERTER_PROFILES = {
+  // Services used for each inverter profile, and if they're the primary, shown or hidden service
+  default: { outlet: 'primary', battery: 'hidden', light: 'hidden' },
+  outlet: { outlet: 'primary', battery: 'shown' },
+  light: { light: 'primary' },
+  eve: { outlet: 'primary' },
+  fan: { fan: 'primary' },
+};
+const GRID_STATUS_SENSORS = ['contact', 'leak']; // Sensors we can expose grid availability as
+const GRID_DOWN_STATUSES = ['DISCONNECTED', 'DISABLED', 'OFFLINE', 'OFF_GRID', 'BACKUP', 'FAULT']; // Grid statuses we treat as down
+const INVENTORY_REFRESH_INTERVAL = 1000 * 60 * 60 * 6; // Refresh a site's inventory every 6 hours
+const SNAPSHOT_FILE = 'SolarEdgeAccfactory.snapshot.json'; // File in Homebridge's persist path for the last data we have
+const SNAPSHOT_SAVE_INTERVAL = 1000 * 60 * 5; // Save the last data we have every 5 minutes
+const MQTT_TOPIC = 'solaredge'; // Base topic we publish device state under
+const MQTT_DISCOVERY_PREFIX = 'homeassistant'; // Topic prefix Home Assistant uses for discovery
+const TARIFF_FILE = 'SolarEdgeAccfactory.tariff.json'; // File in Homebridge's persist path for running cost totals
+const PERFORMANCE_FILE = 'SolarEdgeAccfactory.performance.json'; // File in Homebridge's persist path for calibration of expected production
+const PERFORMANCE_RATIO = 50; // Percentage of expected production we'll flag a site as underperforming below
+const PERFORMANCE_TIME = 120; // Minutes production must stay below expected before we flag a site as underperforming
+const PERFORMANCE_ELEVATION = 20; // Degrees the sun must be above the horizon for us to compare production against expected
+const CALIBRATION_DAYS = 14; // Recent days we keep the best production for, to scale expected production
+const CUSTOM_CHARACTERISTICS = {}; // Custom characteristic classes we've created, key'd by uuid
+const DAILY_REQUEST_BUDGET = 280; // SolarEdge limits requests to 300 per site per day, so leave some spare
+const MODBUS_POLL_INTERVAL = 1000 * 10; // every 10seconds
+const API_URLS = {
+  v1: 'https://monitoringapi.solaredge.com',
+  v2: 'https://monitoringapi.solaredge.com/v2',
+};
+
+class SolarEdgeAccfactory {
+  cachedAccessories = []; // Track restored cached accessories
+
+  // Internal data only for this class
+  #connections = {}; // Object of confirmed connections
+  #rawData = {}; // Cached copy of data from Rest API
+  #trackedDevices = {}; // Object of devices we've created. used to track comms uuid. key'd by serial #
+  #lastHistory = {}; // Time we last sent data to each device, key'd by serial #. Persisted so we can backfill history after downtime
+  #lastHistorySaved = 0; // Time we last saved the above to disk
+  #dataChanged = {}; // When an inverter's data last changed, key'd by serial #. Used to detect stale data
+  #snapshotSaved = 0; // Time we last saved a snapshot of the data from the API to disk
+  #metricsServer = undefined; // Local HTTP server for metrics and status, if enabled
+  #mqttClient = undefined; // MQTT client for publishing device updates, if enabled
+  #mqttDiscovery = {}; // Devices we've published Home Assistant discovery for, key'd by serial #
+  #tariff = undefined; // Tariff calculator for costs and savings, if a tariff is configured
+  #simulator = undefined; // Simulator of the SolarEdge Monitoring API, if enabled
+  #performance = {}; // Expected production and underperformance tracking, key'd by site ID
+
+  constructor(log, config, api) {
+    this.config = config;
+    this.log = log;
+    this.api = api;
+
+    // API Keys are stored encrypted in Homebridge's storage path rather than in the configuration JSON
+    // Any still in the configuration JSON are moved into encrypted storage, otherwise we load them from there
+    this.#loadCredentials(config);
+
+    // Perform validation on the configuration passed into us and set defaults if not present
+    // SolarEdge accounts can be configured as a list, along with the original single account configuration
+    let accounts = (Array.isArray(config?.accounts) === true ? config.accounts : [])
+      .concat(typeof config?.solaredge === 'object' && config.solaredge !== null ? [config.solaredge] : [])
+      .filter((account) => typeof account?.apiKey === 'string' && account.apiKey !== '');
+
+    if (
+      accounts.length === 0 &&
+      (Array.isArray(config?.modbus) === false || config.modbus.length === 0) &&
+      config?.simulator?.enabled !== true
+    ) {
+      this?.log?.error?.('Required SolarEdge API Key or local Modbus TCP inverter is missing from JSON configuration. Please review');
+      return;
+    }
+
+    accounts.forEach((account) => {
+      if (account?.apiVersion === 'v2' && (typeof account?.accountKey !== 'string' || account.accountKey === '')) {
+        this?.log?.error?.(
+          'Required SolarEdge Account Key for v2 of the Monitoring API is missing from JSON configuration%s. Please review',
+          typeof account?.name === 'string' && account.name !== '' ? ' for account "' + account.name + '"' : '',
+        );
+        return;
+      }
+
+      if (Object.values(this.#connections).some((connection) => connection?.apiKey === account.apiKey) === true) {
+        // Same API Key configured more than once, so we'll only use it once
+        return;
+      }
+
+      // Valid connection object
+      this.#connections[crypto.randomUUID()] = {
+        type: 'cloud',
+        id: 'cloud-' + crypto.createHash('sha256').update(account.apiKey).digest('hex').slice(0, 16), // Same between restarts
+        authorised: false,
+        name: typeof account?.name === 'string' ? account.name : '',
+        apiVersion: account?.apiVersion === 'v2' ? 'v2' : 'v1',
+        apiUrl:
+          typeof account?.apiUrl === 'string' && account.apiUrl.trim() !== ''
+            ? account.apiUrl.trim().replace(/\/+$/, '') + (account?.apiVersion === 'v2' ? '/v2' : '')
+            : API_URLS[account?.apiVersion === 'v2' ? 'v2' : 'v1'],
+        apiKey: account.apiKey,
+        accountKey: typeof account?.accountKey === 'string' ? account.accountKey : '',
+      };
+    });
+
+    // Optional simulator of the SolarEdge Monitoring API for development and testing, used as an extra account
+    // We'll know the URL for the connection once the simulator has started
+    if (config?.simulator?.enabled === true) {
+      this.#simulator = new SolarEdgeSimulator(config.simulator, this.log);
+      this.#connections[crypto.randomUUID()] = {
+        type: 'cloud',
+        id: 'simulator',
+        authorised: false,
+        name: 'Simulator',
+        apiVersion: config.simulator?.apiVersion === 'v2' ? 'v2' : 'v1',
+        apiUrl: undefined,
+        apiKey: 'simulator',
+        accountKey: 'simulator',
+        simulator: true,
+      };
+    }
+
+    Array.isArray(config?.modbus) === true &&
+      config.modbus.forEach((inverter) => {
+        if (typeof inverter?.host !== 'string' || inverter.host === '') {
+          this?.log?.warn?.('Local Modbus TCP inverter is missing its host in JSON configuration and will be ignored. Please review');
+          return;
+        }
+
+        // Valid local connection object
+        let port = isNaN(inverter?.port) === false && Number(inverter.port) > 0 ? Number(inverter.port) : SolarEdgeModbus.DEFAULT_PORT;
+        this.#connections[crypto.randomUUID()] = {
+          type: 'modbus',
+          id: 'modbus-' + inverter.host + ':' + port, // Same between restarts
+          authorised: false,
+          host: inverter.host,
+          port: port,
+          unitId: isNaN(inverter?.unitId) === false ? Number(inverter.unitId) : SolarEdgeModbus.DEFAULT_UNIT_ID,
+          name: typeof inverter?.name === 'string' ? inverter.name : '',
+          siteId: typeof inverter?.siteId === 'string' || typeof inverter?.siteId === 'number' ? inverter.siteId : undefined,
+          peakPower: isNaN(inverter?.peakPower) === false ? Number(inverter.peakPower) : 0,
+          pollInterval:
+            isNaN(inverter?.pollInterval) === false && Number(inverter.pollInterval) > 0
+              ? Number(inverter.pollInterval) * 1000
+              : MODBUS_POLL_INTERVAL,
+          client: undefined,
+        };
+      });
+
+    // Validate any configured power thresholds, keeping their position in the configuration as part of their identity
+    this.config.thresholds = (Array.isArray(config?.thresholds) === true ? config.thresholds : [])
+      .map((threshold, index) => {
+        if (THRESHOLD_MEASURES.includes(threshold?.measure) === false || isNaN(threshold?.threshold) === true) {
+          this?.log?.warn?.(
+            'Power threshold "%s" is missing a valid measure or threshold in JSON configuration. Please review',
+            threshold?.name,
+          );
+          return undefined;
+        }
+
+        return {
+          index: index + 1,
+          name: typeof threshold?.name === 'string' && threshold.name !== '' ? threshold.name : 'Power Threshold ' + (index + 1),
+          siteId: typeof threshold?.siteId === 'string' || typeof threshold?.siteId === 'number' ? threshold.siteId : undefined,
+          measure: threshold.measure,
+          threshold: Number(threshold.threshold),
+          hysteresis: isNaN(threshold?.hysteresis) === false ? Math.abs(Number(threshold.hysteresis)) : 0,
+          delay: isNaN(threshold?.delay) === false ? Math.abs(Number(threshold.delay)) * 1000 : 0,
+          hold: isNaN(threshold?.hold) === false ? Math.abs(Number(threshold.hold)) * 1000 : 0,
+          sensor: threshold?.sensor === 'contact' ? 'contact' : 'occupancy',
+        };
+      })
+      .filter((threshold) => threshold !== undefined);
+
+    // Per-site and per-device settings, key'd by site ID and serial # respectively
+    this.config.sites = parseSettings(config?.sites, 'siteId');
+    this.config.devices = parseSettings(config?.devices, 'serialNumber');
+
+    this.config.options.eveHistory = typeof this.config.options?.eveHistory === 'boolean' ? this.config.options.eveHistory : true;
+    this.config.options.dailyRequestBudget =
+      isNaN(this.config.options?.dailyRequestBudget) === false && Number(this.config.options.dailyRequestBudget) > 0
+        ? Number(this.config.options.dailyRequestBudget)
+        : DAILY_REQUEST_BUDGET;
+    if (
+      getCoordinates(this.config.options?.latitude, this.config.options?.longitude) === undefined &&
+      Object.values(this.#connections).some((connection) => connection.type !== 'modbus') === true
+    ) {
+      this?.log?.warn?.(
+        'Latitude and longitude are not set in JSON configuration. Sites without a location will have polling spread over the day',
+      );
+    }
+    this.config.options.staleTime =
+      isNaN(this.config.options?.staleTime) === false && Number(this.config.options.staleTime) > 0
+        ? Number(this.config.options.staleTime)
+        : STALE_TIME;
+    this.config.options.inverterProfile =
+      INVERTER_PROFILES?.[this.config.options?.inverterProfile] !== undefined ? this.config.options.inverterProfile : 'default';
+    this.config.options.inverterPower =
+      INVERTER_MEASURES.includes(this.config.options?.inverterPower) === true ? this.config.options.inverterPower : 'production';
+    this.config.options.gridStatus =
+      GRID_STATUS_SENSORS.includes(this.config.options?.gridStatus) === true ? this.config.options.gridStatus : 'none';
+
+    // Optional local HTTP server exposing our processed data as Prometheus metrics and JSON status
+    if (config?.metrics?.enabled === true) {
+      this.#metricsServer = new MetricsServer(config.metrics?.host, config.metrics?.port, this.#getStatus.bind(this), this.log);
+    }
+
+    // Optional publishing of device updates to an MQTT broker, along with Home Assistant discovery
+    if (config?.mqtt?.enabled === true && typeof config.mqtt?.host === 'string' && config.mqtt.host !== '') {
+      this.config.mqtt.topic =
+        typeof config.mqtt?.topic === 'string' && config.mqtt.topic.trim() !== ''
+          ? config.mqtt.topic.trim().replace(/\/+$/, '')
+          : MQTT_TOPIC;
+      this.config.mqtt.discoveryPrefix =
+        typeof config.mqtt?.discoveryPrefix === 'string' && config.mqtt.discoveryPrefix.trim() !== ''
+          ? config.mqtt.discoveryPrefix.trim()
+          : MQTT_DISCOVERY_PREFIX;
+      this.#mqttClient = new MQTTClient(
+        config.mqtt.host,
+        config.mqtt?.port,
+        {
+          clientId: 'solaredge-accfactory-' + crypto.randomBytes(4).toString('hex'),
+          username: config.mqtt?.username,
+          password: config.mqtt?.password,
+          tls: config.mqtt?.tls === true,
+          will: { topic: this.config.mqtt.topic + '/status', payload: 'offline', retain: true },
+        },
+        this.log,
+      );
+    }
+
+    // Optional tariff for working out import costs, export credits and savings from solar, continuing any totals we had
+    if (config?.tariff?.enabled === true) {
+      this.#tariff = new TariffCalculator(config.tariff);
+      if (typeof api?.user?.persistPath === 'function') {
+        this.#tariff.setState(loadJSON(path.join(api.user.persistPath(), TARIFF_FILE)));
+      }
+    }
+
+    // Optional detection of sites producing well below what's expected for clear sky, ie: failed panel string or optimiser
+    // We only keep each site's recent best days between restarts, as they calibrate what we expect
+    if (config?.performance?.enabled === true) {
+      this.config.performance = {
+        enabled: true,
+        ratio:
+          (isNaN(config.performance?.ratio) === false && Number(config.performance.ratio) > 0 && Number(config.performance.ratio) <= 100
+            ? Number(config.performance.ratio)
+            : PERFORMANCE_RATIO) / 100,
+        duration:
+          (isNaN(config.performance?.duration) === false && Number(config.performance.duration) > 0
+            ? Number(config.performance.duration)
+            : PERFORMANCE_TIME) * 60000,
+        elevation:
+          isNaN(config.performance?.elevation) === false && Number(config.performance.elevation) >= 0
+            ? Number(config.performance.elevation)
+            : PERFORMANCE_ELEVATION,
+        calibrate: config.performance?.calibrate !== false,
+      };
+      if (getCoordinates(this.config.options?.latitude, this.config.options?.longitude) === undefined) {
+        this?.log?.warn?.(
+          'Latitude and longitude are not set in JSON configuration. Underperformance detection is skipped for sites without a location',
+        );
+      }
+      if (typeof api?.user?.persistPath === 'function') {
+        Object.entries(loadJSON(path.join(api.user.persistPath(), PERFORMANCE_FILE)) ?? {}).forEach(([siteId, saved]) => {
+          this.#performance[siteId] = {
+            best: typeof saved?.best === 'object' && saved.best !== null ? saved.best : {},
+            below: undefined,
+            underperforming: false,
+            expected: undefined,
+          };
+        });
+      }
+    }
+
+    // Load the times we last sent data to each device, so we can backfill any history missed while we weren't running
+    if (typeof api?.user?.persistPath === 'function') {
+      this.#lastHistory = loadJSON(path.join(api.user.persistPath(), HISTORY_FILE)) ?? {};
+    }
+
+    api?.on?.('didFinishLaunching', async () => {
+      // We got notified that Homebridge has finished loading, so we are ready to process
+      // Restore accessories from the last data we had, until we get live data
+      this.#loadSnapshot();
+      this.#metricsServer?.start?.();
+      if (this.#simulator !== undefined) {
+        let uuid = Object.keys(this.#connections).find((uuid) => this.#connections[uuid]?.simulator === true);
+        try {
+          this.#connections[uuid].apiUrl = (await this.#simulator.start()) + (this.#connections[uuid].apiVersion === 'v2' ? '/v2' : '');
+        } catch (error) {
+          this?.log?.error?.('SolarEdge Monitoring API simulator failed to start and will not be used');
+          this?.log?.debug?.('Error was "%s"', String(error?.message));
+          delete this.#connections[uuid];
+        }
+      }
+      if (this.#mqttClient !== undefined) {
+        this.#mqttClient.publish(this.config.mqtt.topic + '/status', 'online', true);
+        this.#mqttClient.connect();
+      }
+
+      // Start reconnect loop per connection with backoff for failed tries
+      for (const uuid of Object.keys(this.#connections)) {
+        let reconnectDelay = 15000;
+
+        const reconnectLoop = async () => {
+          if (this.#connections?.[uuid]?.authorised === false) {
+            try {
+              await this.#connect(uuid);
+              if (this.#connections[uuid].type === 'modbus') {
+                this.#subscribeModbus(uuid);
+              } else {
+                this.#subscribeREST(uuid);
+              }
+              // eslint-disable-next-line no-unused-vars
+            } catch (error) {
+              // Empty
+            }
+
+            reconnectDelay = this.#connections?.[uuid]?.authorised === true ? 15000 : Math.min(reconnectDelay * 2, 60000);
+          } else {
+            reconnectDelay = 15000;
+          }
+
+          setTimeout(reconnectLoop, reconnectDelay);
+        };
+
+        reconnectLoop();
+      }
+    });
+
+    api?.on?.('shutdown', async () => {
+      // We got notified that Homebridge is shutting down
+      // Perform cleanup of internal state
+      Object.values(this.#trackedDevices).forEach((device) => {
+        Object.values(device?.timers || {}).forEach((timer) => clearInterval(timer));
+      });
+
+      // Save the times we last sent data to each device, along with the last data we have
+      this.#saveLastHistory(true);
+      this.#saveSnapshot(true);
+      this.#metricsServer?.stop?.();
+      this.#simulator?.stop?.();
+      this.#mqttClient?.publish?.(this.config.mqtt.topic + '/status', 'offline', true);
+      this.#mqttClient?.close?.();
+
+      // Close any local Modbus TCP connections
+      Object.values(this.#connections).forEach((connection) => {
+        connection?.client?.close?.();
+      });
+
+      this.#trackedDevices = {};
+      this.#rawData = {};
+    });
+  }
+
+  configureAccessory(accessory) {
+    // This gets called from Homebridge each time it restores an accessory from its cache
+    this?.log?.info?.('Loading accessory from cache:', accessory.displayName);
+
+    // add the restored accessory to the accessories cache, so we can track if it has already been registered
+    this.cachedAccessories.push(accessory);
+  }
+
+  #loadCredentials(config) {
+    // API Keys entered in the configuration JSON are kept in encrypted storage, so they can then be removed from the configuration
+    // We never change the configuration JSON ourselves, as Homebridge and its UI own that file
+    // Stored API Keys are found using the account's name, with the main SolarEdge account being unique. An unnamed additional
+    // account can only be told apart when it's the only one, as its position changes when accounts are added, removed or reordered
+    if (typeof this.api?.user?.storagePath !== 'function') {
+      return;
+    }
+
+    let store = undefined;
+    try {
+      store = new CredentialStore(this.api.user.storagePath());
+    } catch (error) {
+      this?.log?.warn?.('Unable to access encrypted storage for API Keys. Any API Keys in JSON configuration will be used as is');
+      this?.log?.debug?.('Error was "%s"', String(error?.message));
+      return;
+    }
+
+    let accounts = (Array.isArray(config?.accounts) === true ? config.accounts : []).filter(
+      (account) => typeof account === 'object' && account !== null,
+    );
+
+    accounts
+      .map((account) => [account, accounts.length === 1 ? 'account' : undefined])
+      .concat(typeof config?.solaredge === 'object' && config.solaredge !== null ? [[config.solaredge, 'solaredge']] : [])
+      .forEach(([account, id]) => {
+        let named = typeof account?.name === 'string' && account.name !== '';
+        let description = named === true ? ' for account "' + account.name + '"' : '';
+        id = named === true ? 'account:' + account.name : id;
+
+        if (id === undefined) {
+          if (typeof account?.apiKey === 'string' && account.apiKey !== '') {
+            this?.log?.warn?.(
+              'API Key for an unnamed account is not kept in encrypted storage. Give each account a name to store its API Key',
+            );
+          }
+          return;
+        }
+
+        let credentials = store.get(id);
+        if (typeof account?.apiKey === 'string' && account.apiKey !== '') {
+          // API Key in the configuration JSON, so store it encrypted if we haven't already
+          let accountKey = typeof account?.accountKey === 'string' ? account.accountKey : '';
+          if (credentials?.apiKey !== account.apiKey || credentials?.accountKey !== accountKey) {
+            store.set(id, { apiKey: account.apiKey, accountKey: accountKey });
+            this?.log?.success?.('Stored API Key%s in encrypted storage', description);
+          }
+          this?.log?.warn?.(
+            'API Key%s is still in JSON configuration. Please remove it, as it is now kept in encrypted storage',
+            description,
+          );
+          return;
+        }
+
+        if (store.has(id) === true && credentials === undefined) {
+          this?.log?.warn?.('Unable to decrypt stored API Key%s. Please re-enter it in JSON configuration', description);
+          return;
+        }
+
+        if (credentials !== undefined) {
+          account.apiKey = credentials.apiKey;
+          account.accountKey = credentials.accountKey !== '' ? credentials.accountKey : account?.accountKey;
+        }
+      });
+  }
+
+  async #connect(uuid) {
+    if (typeof this.#connections?.[uuid] === 'object' && this.#connections[uuid].type === 'modbus') {
+      let connection = this.#connections[uuid];
+      this?.log?.info?.('Connecting to SolarEdge inverter via Modbus TCP at "%s:%s"', connection.host, connection.port);
+
+      try {
+        if (connection.client === undefined) {
+          connection.client = new SolarEdgeModbus(connection.host, connection.port, connection.unitId);
+        }
+
+        // Connect and make sure we have a SunSpec compatible inverter
+        await connection.client.connect();
+        await connection.client.read();
+
+        connection.authorised = true;
+
+        this?.log?.success?.('Successfully connected to SolarEdge inverter via Modbus TCP at "%s:%s"', connection.host, connection.port);
+      } catch (error) {
+        connection.client?.close?.();
+        connection.authorised = false;
+
+        this?.log?.error?.(
+          'Connection failed to SolarEdge inverter via Modbus TCP at "%s:%s". A periodic retry event will be triggered',
+          connection.host,
+          connection.port,
+          String(error?.message),
+        );
+      }
+      return;
+    }
+
+    if (typeof this.#connections?.[uuid] === 'object') {
+      if (this.#connections[uuid].backoffUntil !== undefined && this.#connections[uuid].backoffUntil > Date.now()) {
+        // We've been rate limited, so wait until we're allowed to make requests again
+        return;
+      }
+
+      this?.log?.info?.(
+        'Performing authorisation to SolarEdge Monitoring API (%s)%s',
+        this.#connections[uuid].apiVersion,
+        this.#connections[uuid].name !== '' ? ' for account "' + this.#connections[uuid].name + '"' : '',
+      );
+
+      try {
+        await this.#getSites(uuid);
+
+        this.#connections[uuid].authorised = true;
+        this.#connections[uuid].connectFailed = false;
+
+        this?.log?.success?.(
+          'Successfully authorised to SolarEdge Monitoring API (%s)%s',
+          this.#connections[uuid].apiVersion,
+          this.#connections[uuid].name !== '' ? ' for account "' + this.#connections[uuid].name + '"' : '',
+        );
+      } catch (error) {
+        this.#connections[uuid].authorised = false;
+
+        // Only log the first failed attempt. A rejected API Key has already been reported by the connection's health
+        if (this.#connections[uuid].connectFailed !== true && error?.type !== 'auth') {
+          this?.log?.error?.(
+            'Authorisation failed to SolarEdge Monitoring API%s (%s error). A periodic retry event will be triggered',
+            this.#connections[uuid].name !== '' ? ' for account "' + this.#connections[uuid].name + '"' : '',
+            error?.type ?? classifyError(error),
+          );
+        }
+        this.#connections[uuid].connectFailed = true;
+      }
+    }
+  }
+
+  async #subscribeREST(uuid) {
+    if (typeof this.#connections?.[uuid] !== 'object' || this.#connections?.[uuid]?.authorised !== true) {
+      return;
+    }
+
+    if (this.#connections[uuid].backoffUntil !== undefined && this.#connections[uuid].backoffUntil > Date.now()) {
+      // We've been rate limited, so wait until we're allowed to make requests again
+      setTimeout(() => this.#subscribeREST(uuid), this.#connections[uuid].backoffUntil - Date.now());
+      return;
+    }
+
+    try {
+      let sites = await this.#getSites(uuid, true);
+
+      for (const site of sites) {
+        if (this.#connections[uuid].authorised !== true) {
+          // API Key has been rejected, so stop polling until we've re-authorised
+          break;
+        }
+
+        if (this.config.sites?.[String(site.id).toUpperCase()]?.exclude === true && this.#rawData?.[site.id] !== undefined) {
+          // Site is excluded and we've already processed its devices as excluded, so no need to use requests polling it
+          continue;
+        }
+
+        let usage = this.#getRequestUsage(uuid, site);
+        if (usage.cycle !== 0 && this.config.options.dailyRequestBudget - usage.count < usage.cycle) {
+          // Not enough of the daily request budget left for this site to complete a poll, so skip until it resets
+          if (usage.exhausted !== true) {
+            this?.log?.warn?.('Daily request budget reached for site "%s". Updates will resume after midnight', site.id);
+          }
+          usage.exhausted = true;
+          continue;
+        }
+
+        // Site details and energy totals are only refreshed occasionally, so aren't included in the requests for a poll
+        let details = await this.#getSiteDetails(uuid, site);
+        let energy = await this.#getEnergyTotals(uuid, site);
+        let startCount = usage.count;
+        let siteData = await this.#getSiteData(uuid, site);
+
+        if (siteData !== undefined) {
+          let storage = {};
+          if (Array.isArray(siteData.inventory?.batteries) === true && siteData.inventory.batteries.length !== 0) {
+            // Site has batteries, so get the latest telemetry for each of them
+            storage = await this.#getStorageData(uuid, site);
+          }
+
+          let meters = {};
+          if (Array.isArray(siteData.inventory?.meters) === true && siteData.inventory.meters.length !== 0) {
+            // Site has meters, so get the latest lifetime energy readings for them
+            meters = await this.#getMeterData(uuid, site);
+          }
+
+          // Get the latest readings from any environmental sensors at the site
+          let sensors = await this.#getSensorData(uuid, site);
+
+          // Get the latest telemetry for each inverter at the site, so each can report its own output
+          let equipment = {};
+          if (Array.isArray(siteData.inventory?.inverters) === true) {
+            await Promise.all(
+              siteData.inventory.inverters.map(async (inverter) => {
+                let telemetry = await this.#getEquipmentData(uuid, site, inverter?.SN);
+                if (telemetry !== undefined) {
+                  equipment[inverter.SN.toUpperCase()] = telemetry;
+                }
+              }),
+            );
+          }
+
+          // Record how many requests a complete poll of this site takes, which is used to work out the poll interval
+          usage.cycle = usage.count - startCount;
+
+          this.#connections[uuid].lastPoll = Date.now();
+          this.#rawData[site.id] = {
+            connection: uuid,
+            time: Date.now(),
+            site: site,
+            details: details,
+            energy: energy,
+            inventory: siteData.inventory,
+            powerflow: siteData.powerflow,
+            storage: storage,
+            equipment: equipment,
+            meters: meters,
+            sensors: sensors,
+          };
+
+          // Get any history devices at this site have missed, which is passed to them along with this update
+          this.#rawData[site.id].history = await this.#getHistoryBackfill(uuid, site);
+
+          await this.#processPostSubscribe(site.id);
+
+          delete this.#rawData?.[site.id]?.history;
+        }
+      }
+    } catch (error) {
+      this.#logRequestError(uuid, 'site data', error);
+    }
+
+    if (this.#connections[uuid].authorised !== true) {
+      // Reconnect loop will re-authorise and resume polling
+      return;
+    }
+
+    this.#connections[uuid].pollInterval = this.#nextPollInterval(uuid);
+    setTimeout(() => this.#subscribeREST(uuid), this.#connections[uuid].pollInterval);
+  }
+
+  async #subscribeModbus(uuid) {
+    if (
+      typeof this.#connections?.[uuid] !== 'object' ||
+      this.#connections[uuid].type !== 'modbus' ||
+      this.#connections[uuid].authorised !== true
+    ) {
+      return;
+    }
+
+    let connection = this.#connections[uuid];
+
+    try {
+      let data = mapModbusData(await connection.client.read(), connection);
+
+      connection.lastPoll = Date.now();
+      this.#rawData[data.site.id] = {
+        connection: uuid,
+        time: Date.now(),
+        ...data,
+      };
+
+      await this.#processPostSubscribe(data.site.id);
+    } catch (error) {
+      // Lost connection to the inverter, so flag this for the reconnect loop to re-establish
+      connection.client?.close?.();
+      connection.authorised = false;
+
+      this?.log?.warn?.(
+        'Lost connection to SolarEdge inverter via Modbus TCP at "%s:%s". A periodic retry event will be triggered',
+        connection.host,
+        connection.port,
+      );
+      this?.log?.debug?.('Error was "%s"', String(error?.message));
+      return;
+    }
+
+    setTimeout(() => this.#subscribeModbus(uuid), connection.pollInterval);
+  }
+
+  async #request(uuid, site, path, parameters = {}, options = {}) {
+    // Perform a GET request to the SolarEdge Monitoring API for this connection, returning the parsed JSON response
+    // v1 of the API authorises using the api_key query parameter, while v2 uses the X-API-Key and X-Account-Key headers
+    // Requests are counted against the site (or account if no site) as the API limits the number of requests per day
+    // While we're backing off from being rate limited, requests fail straight away without being sent
+    let connection = this.#connections[uuid];
+    if (connection.backoffUntil !== undefined && connection.backoffUntil > Date.now()) {
+      let error = new Error('Request for ' + path + ' not sent as SolarEdge Monitoring API requests are paused after being rate limited');
+      error.code = 429;
+      error.type = 'quota';
+      throw error;
+    }
+    if (connection.health?.sites?.[site?.id !== undefined ? String(site.id) : 'account']?.denied?.[path] > Date.now()) {
+      let error = new Error('Request for ' + path + ' not sent as SolarEdge Monitoring API has refused access to it for this API Key');
+      error.code = 403;
+      error.type = 'auth';
+      throw error;
+    }
+
+    let usage = this.#getRequestUsage(uuid, site);
+    usage.count++;
+
+    let query = Object.entries(parameters).map(([key, value]) => key + '=' + encodeURIComponent(value));
+
+    if (connection.apiVersion === 'v2') {
+      options.headers = {
+        ...options?.headers,
+        Accept: 'application/json',
+        'X-API-Key': connection.apiKey,
+        'X-Account-Key': connection.accountKey,
+      };
+    } else {
+      query.push('api_key=' + connection.apiKey);
+    }
+
+    let response = undefined;
+    let data = undefined;
+    try {
+      response = await fetchWrapper('get', connection.apiUrl + path + (query.length !== 0 ? '?' + query.join('&') : ''), options);
+      data = await response.json();
+    } catch (error) {
+      error.type = classifyError(error);
+      this.#updateHealth(uuid, site, error, path);
+      if (error?.code === 429) {
+        // We've been rate limited, so stop making requests for this connection until we're allowed to again
+        // If we weren't told how long to wait, we'll back off for an hour
+        let retryAfter = isNaN(error?.retryAfter) === false && error.retryAfter > 0 ? error.retryAfter * 1000 : RATE_LIMIT_BACKOFF;
+        if (connection.backoffUntil === undefined || connection.backoffUntil < Date.now()) {
+          this?.log?.warn?.(
+            'SolarEdge Monitoring API request limit reached. Requests will be paused for %s minutes',
+            Math.ceil(retryAfter / 60000),
+          );
+        }
+        connection.backoffUntil = Date.now() + retryAfter;
+      }
+      throw error;
+    }
+
+    this.#updateHealth(uuid, site);
+    return data;
+  }
+
+  #updateHealth(uuid, site, error, path) {
+    // Track consecutive failed requests for the connection and site, with the failures classified by classifyError()
+    // We log once when the connection starts failing and once when it recovers. Authorisation failures for the account stop polling
+    // so the reconnect loop can re-authorise, and rate limiting is handled by backing off. Other failures slow polling down
+    // A site's data being refused (ie: storage, sensors or equipment not licensed for the API Key) isn't a problem with the
+    // API Key itself, so we stop requesting that data for a while instead
+    let connection = this.#connections[uuid];
+    let key = site?.id !== undefined ? String(site.id) : 'account';
+    let account = connection.name !== '' ? ' for account "' + connection.name + '"' : '';
+    if (typeof connection.health !== 'object') {
+      connection.health = { state: 'ok', failures: 0, lastError: undefined, sites: {} };
+    }
+
+    let health = connection.health;
+    if (error === undefined) {
+      if (health.state !== 'ok' && health.state !== 'auth') {
+        // Successful authorisation is already logged when we reconnect
+        this?.log?.success?.('SolarEdge Monitoring API%s is working again after %s failed request(s)', account, health.failures);
+      }
+      health.state = 'ok';
+      health.failures = 0;
+      health.sites[key] = { ...health.sites?.[key], failures: 0, type: undefined };
+      return;
+    }
+
+    health.sites[key] = { ...health.sites?.[key], failures: (health.sites?.[key]?.failures ?? 0) + 1, type: error.type };
+    if (error.type === 'auth' && site?.id !== undefined) {
+      if (health.sites[key]?.denied?.[path] === undefined) {
+        this?.log?.warn?.(
+          'SolarEdge Monitoring API refused access to "%s" for site "%s"%s. Will retry every %s hours',
+          path,
+          site.id,
+          account,
+          DENIED_BACKOFF / 3600000,
+        );
+      }
+      health.sites[key].denied = { ...health.sites[key]?.denied, [path]: Date.now() + DENIED_BACKOFF };
+      return;
+    }
+
+    health.failures++;
+    health.lastError = { type: error.type, message: String(error?.message), time: Date.now() };
+
+    if (error.type === 'auth') {
+      connection.authorised = false;
+    }
+
+    // Authorisation and rate limiting are reported straight away, other failures once they've happened several times in a row
+    // Rate limiting has its own warning when we back off
+    if (health.state !== error.type && (['auth', 'quota'].includes(error.type) === true || health.failures >= FAILURE_THRESHOLD)) {
+      health.state = error.type;
+      if (HEALTH_MESSAGES?.[error.type] !== undefined) {
+        this?.log?.warn?.(HEALTH_MESSAGES[error.type], account);
+        this?.log?.debug?.('Error was "%s"', String(error?.message));
+      }
+    }
+  }
+
+  #logRequestError(uuid, description, error) {
+    // Failed requests are tracked and reported by the connection's health, so we only log the details for debugging
+    // Timeouts happen from time to time and are retried on the next poll, so aren't logged
+    if ((error?.type ?? classifyError(error)) === 'timeout') {
+      return;
+    }
+
+    this?.log?.debug?.('REST API had an error obtaining %s for uuid "%s"', description, uuid);
+    this?.log?.debug?.('Error was "%s"%s', String(error?.message), error?.cause !== undefined ? ' (' + String(error.cause) + ')' : '');
+  }
+
+  #getRequestUsage(uuid, site) {
+    // Get the request usage for a site (or account if no site) for the current day in the site's timezone
+    // Usage is reset at midnight, with the requests used by the last poll cycle retained
+    let connection = this.#connections[uuid];
+    let key = site?.id !== undefined ? String(site.id) : 'account';
+    let date = formatSiteTime(new Date(), site?.location?.timeZone).slice(0, 10);
+
+    if (typeof connection.requests !== 'object') {
+      connection.requests = {};
+    }
+
+    if (connection.requests?.[key]?.date !== date) {
+      connection.requests[key] = {
+        date: date,
+        count: 0,
+        cycle: connection.requests?.[key]?.cycle ?? 0,
+      };
+    }
+
+    return connection.requests[key];
+  }
+
+  #nextPollInterval(uuid) {
+    // Work out when to next poll the API for this connection by spreading the remaining daily request budget of each site
+    // over the remaining daylight at the site, keeping enough aside to poll occasionally overnight
+    // The most constrained site sets the interval for the connection
+    let connection = this.#connections[uuid];
+    let now = Date.now();
+    let intervals = [];
+
+    if (connection.backoffUntil !== undefined && connection.backoffUntil > now) {
+      return connection.backoffUntil - now;
+    }
+
+    Object.values(this.#rawData)
+      .filter((data) => data?.connection === uuid)
+      .forEach((data) => {
+        let usage = this.#getRequestUsage(uuid, data.site);
+        if (usage.cycle === 0) {
+          return;
+        }
+
+        let offset = getTimeZoneOffset(new Date(now), data.site?.location?.timeZone) * 60000;
+        let midnight = Math.floor((now + offset) / 86400000) * 86400000 + 86400000 - offset; // Next midnight at the site
+        let location = this.#getSiteLocation(data.site);
+        let remaining = this.config.options.dailyRequestBudget - usage.count;
+
+        if (remaining < usage.cycle) {
+          // Daily budget for this site has been used, so wait until it resets at midnight
+          intervals.push(midnight - now);
+          return;
+        }
+
+        if (location === undefined) {
+          // We don't know where the site is to work out daylight, so spread the remaining budget evenly over the rest of the day
+          intervals.push(
+            Math.min(
+              Math.max((midnight - now) / Math.max(1, Math.floor(remaining / usage.cycle)), MINIMUM_POLL_INTERVAL),
+              NIGHT_POLL_INTERVAL,
+            ),
+          );
+          return;
+        }
+
+        let sun = getSunTimes(new Date(midnight - 43200000), location.latitude, location.longitude); // Midday at the site today
+
+        if ((now >= sun.sunrise && now < sun.sunset) || data.powerflow?.PV?.currentPower > 0) {
+          // Daylight or producing solar, so spread the remaining budget over the remaining daylight after allowing for overnight
+          let overnightPolls = Math.ceil(Math.max(0, midnight - Math.max(now, sun.sunset)) / NIGHT_POLL_INTERVAL);
+          let daylightPolls = Math.floor((remaining - overnightPolls * usage.cycle) / usage.cycle);
+          intervals.push(
+            daylightPolls > 0
+              ? Math.min(
+                  Math.max((Math.max(sun.sunset, now + MINIMUM_POLL_INTERVAL) - now) / daylightPolls, MINIMUM_POLL_INTERVAL),
+                  SUBSCRIBE_INTERVAL * 3,
+                )
+              : NIGHT_POLL_INTERVAL,
+          );
+          return;
+        }
+
+        // Night time at the site, so only poll occasionally or at sunrise, whichever comes first
+        intervals.push(
+          now < sun.sunrise ? Math.max(Math.min(NIGHT_POLL_INTERVAL, sun.sunrise - now), MINIMUM_POLL_INTERVAL) : NIGHT_POLL_INTERVAL,
+        );
+      });
+
+    // Slow down polling while requests are failing, doubling for each poll upto the overnight interval
+    let failures = ['timeout', 'server', 'parse'].includes(connection.health?.state) === true ? connection.health.failures : 0;
+    return Math.min(
+      (intervals.length !== 0 ? Math.max(...intervals) : SUBSCRIBE_INTERVAL) * 2 ** Math.min(Math.max(0, failures - FAILURE_THRESHOLD), 4),
+      Math.max(NIGHT_POLL_INTERVAL, ...intervals),
+    );
+  }
+
+  #getSiteLocation(site) {
+    // Location of a site, being its coordinates in the site list if provided, otherwise the location from the configuration
+    // Returns undefined if neither are available, in which case daylight based polling and underperformance detection aren't used
+    return (
+      getCoordinates(site?.location?.latitude, site?.location?.longitude) ??
+      getCoordinates(this.config.options?.latitude, this.config.options?.longitude)
+    );
+  }
+
+  async #getSites(uuid, useCache = false) {
+    // Get the list of sites for this connection, with v2 sites mapped into the v1 site format
+    // The site list rarely changes, so to save requests we can use the last site list if retrieved in the past hour
+    let connection = this.#connections[uuid];
+    if (
+      useCache === true &&
+      Array.isArray(connection?.sites?.list) === true &&
+      Date.now() - connection.sites.time < SITES_REFRESH_INTERVAL
+    ) {
+      return connection.sites.list;
+    }
+
+    let sites = await this.#getSiteList(uuid);
+    connection.sites = {
+      time: Date.now(),
+      list: sites,
+    };
+
+    return sites;
+  }
+
+  async #getSiteList(uuid) {
+    if (this.#connections[uuid].apiVersion === 'v2') {
+      let data = await this.#request(uuid, undefined, '/sites', {}, { timeout: 30000 });
+
+      return Array.isArray(data?.sites) === true ? data.sites.map((site) => mapV2Site(site)).filter((site) => site.id !== undefined) : [];
+    }
+
+    let data = await this.#request(uuid, undefined, '/sites/list', { sortProperty: 'name', sortOrder: 'ASC' }, { timeout: 30000 });
+
+    return Array.isArray(data?.sites?.site) === true ? data.sites.site : [];
+  }
+
+  async #getSiteDetails(uuid, site) {
+    // Get the details for a site, which includes its location. Details rarely change, so we only get them once a day
+    // If we fail to get the details, we'll use any previous details we have
+    let connection = this.#connections[uuid];
+    if (typeof connection.details !== 'object') {
+      connection.details = {};
+    }
+
+    if (connection.details?.[site.id] === undefined || Date.now() - connection.details[site.id].time >= 86400000) {
+      try {
+        let data = await this.#request(
+          uuid,
+          site,
+          connection.apiVersion === 'v2' ? '/sites/' + site.id : '/site/' + site.id + '/details',
+          {},
+          { timeout: 30000 },
+        );
+
+        connection.details[site.id] = {
+          time: Date.now(),
+          details: connection.apiVersion === 'v2' ? mapV2Site(data) : data?.details,
+        };
+      } catch (error) {
+        this.#logRequestError(uuid, 'details for site "' + site.id + '"', error);
+      }
+    }
+
+    return connection.details?.[site.id]?.details;
+  }
+
+  async #getEnergyTotals(uuid, site) {
+    // Get today's, this month's and lifetime energy totals in kWh for a site. Totals are refreshed hourly to save requests
+    // Production comes from the site overview, with consumption, export and import from the site's energy details
+    // These are requested separately, so if either fails we'll use any previous totals we have for it and try again next refresh
+    // NOTE: Only available via v1 of the API
+    let connection = this.#connections[uuid];
+    if (typeof connection.energy !== 'object') {
+      connection.energy = {};
+    }
+
+    if (connection.apiVersion !== 'v1') {
+      return;
+    }
+
+    if (connection.energy?.[site.id] === undefined || Date.now() - connection.energy[site.id].time >= ENERGY_REFRESH_INTERVAL) {
+      let today = formatSiteTime(new Date(), site?.location?.timeZone).slice(0, 10);
+      let totals = { ...connection.energy?.[site.id]?.totals };
+
+      try {
+        let overview = await this.#request(uuid, site, '/site/' + site.id + '/overview', {}, { timeout: 30000 });
+        totals.PRODUCTION = {
+          today: (Number(overview?.overview?.lastDayData?.energy) || 0) / 1000,
+          month: (Number(overview?.overview?.lastMonthData?.energy) || 0) / 1000,
+          lifetime: (Number(overview?.overview?.lifeTimeData?.energy) || 0) / 1000,
+        };
+      } catch (error) {
+        this.#logRequestError(uuid, 'energy overview for site "' + site.id + '"', error);
+      }
+
+      try {
+        let details = await this.#request(
+          uuid,
+          site,
+          '/site/' + site.id + '/energyDetails',
+          {
+            timeUnit: 'DAY',
+            meters: 'PRODUCTION,CONSUMPTION,FEEDIN,PURCHASED,SELFCONSUMPTION',
+            startTime: today.slice(0, 8) + '01 00:00:00',
+            endTime: today + ' 23:59:59',
+          },
+          { timeout: 30000 },
+        );
+
+        Array.isArray(details?.energyDetails?.meters) === true &&
+          details.energyDetails.meters.forEach((meter) => {
+            let type = String(meter?.type).toUpperCase();
+            let values = Array.isArray(meter?.values) === true ? meter.values.filter((value) => isNaN(value?.value) === false) : [];
+            if (type === 'PRODUCTION') {
+              return;
+            }
+
+            totals[type] = {
+              today: (Number(values.find((value) => String(value?.date).startsWith(today) === true)?.value) || 0) / 1000,
+              month: values.reduce((total, value) => total + Number(value.value), 0) / 1000,
+            };
+          });
+      } catch (error) {
+        this.#logRequestError(uuid, 'energy details for site "' + site.id + '"', error);
+      }
+
+      // Record when we last tried, even if the requests failed, so we don't retry until the next hourly refresh
+      connection.energy[site.id] = {
+        time: Date.now(),
+        totals: Object.keys(totals).length !== 0 ? totals : undefined,
+      };
+    }
+
+    return connection.energy?.[site.id]?.totals;
+  }
+
+  async #getHistoryBackfill(uuid, site) {
+    // Get the history for devices at a site that's been missed since we last sent them data, ie: Homebridge restart or API outage
+    // A gap is more than twice the current poll interval. Power details from the API are used, which have a 15min resolution,
+    // except for inverters at sites with more than one inverter where we use each inverter's own telemetry
+    // Returns history entries for each device, key'd by serial #
+    // NOTE: Only available via v1 of the API
+    let history = {};
+    let now = Math.floor(Date.now() / 1000);
+    let minimumGap = Math.max(BACKFILL_MINIMUM_GAP, (this.#connections[uuid]?.pollInterval ?? 0) * 2) / 1000;
+    let devices = Object.values(this.#processData(''))
+      .map((deviceData) => this.#applySettings(deviceData))
+      .filter(
+        (deviceData) =>
+          String(deviceData?.siteid) === String(site.id) &&
+          deviceData?.excluded === false &&
+          [SolarInverter.TYPE, SolarSite.TYPE, GridMeter.TYPE, ConsumptionMeter.TYPE].includes(deviceData?.type) === true &&
+          isNaN(this.#lastHistory?.[deviceData.serialNumber]) === false &&
+          now - this.#lastHistory[deviceData.serialNumber] >= minimumGap,
+      );
+
+    if (devices.length === 0 || this.#connections[uuid].apiVersion !== 'v1') {
+      return history;
+    }
+
+    // Get power details from the oldest gap, limited to how far back the API allows in one request
+    let startTime = Math.max(
+      Math.min(...devices.map((deviceData) => this.#lastHistory[deviceData.serialNumber])),
+      now - BACKFILL_MAXIMUM / 1000,
+    );
+    let power = {};
+    try {
+      let data = await this.#request(
+        uuid,
+        site,
+        '/site/' + site.id + '/powerDetails',
+        {
+          meters: 'PRODUCTION,CONSUMPTION,FEEDIN,PURCHASED',
+          startTime: formatSiteTime(new Date(startTime * 1000), site?.location?.timeZone),
+          endTime: formatSiteTime(new Date(now * 1000), site?.location?.timeZone),
+        },
+        { timeout: 30000 },
+      );
+
+      Array.isArray(data?.powerDetails?.meters) === true &&
+        data.powerDetails.meters.forEach((meter) => {
+          power[String(meter?.type).toUpperCase()] = (Array.isArray(meter?.values) === true ? meter.values : [])
+            .filter((value) => value?.value !== undefined && value?.value !== null)
+            .map((value) => ({
+              time: Math.floor(parseSiteTime(value.date, site?.location?.timeZone) / 1000),
+              watts: Number(value.value) || 0,
+            }));
+        });
+    } catch (error) {
+      this.#logRequestError(uuid, 'power details for site "' + site.id + '"', error);
+    }
+
+    let inverterCount = devices.filter((deviceData) => deviceData.type === SolarInverter.TYPE).length;
+    for (const deviceData of devices) {
+      let since = this.#lastHistory[deviceData.serialNumber];
+      let entries = [];
+
+      if ((deviceData.type === SolarInverter.TYPE && inverterCount === 1) || deviceData.type === SolarSite.TYPE) {
+        entries = (power?.PRODUCTION ?? []).map((entry) => ({ time: entry.time, watts: entry.watts, volts: 0, amps: 0 }));
+      }
+
+      if (deviceData.type === SolarInverter.TYPE && inverterCount > 1) {
+        entries = await this.#getEquipmentHistory(uuid, site, deviceData.serialNumber, Math.max(since, now - 60 * 60 * 24 * 7));
+      }
+
+      if (deviceData.type === GridMeter.TYPE) {
+        entries = (power?.PURCHASED ?? []).map((entry) => ({
+          time: entry.time,
+          importPower: entry.watts,
+          exportPower: power?.FEEDIN?.find((feedIn) => feedIn.time === entry.time)?.watts ?? 0,
+        }));
+      }
+
+      if (deviceData.type === ConsumptionMeter.TYPE) {
+        entries = (power?.CONSUMPTION ?? []).map((entry) => ({ time: entry.time, watts: entry.watts }));
+      }
+
+      entries = entries.filter((entry) => entry.time > since && entry.time < now).sort((a, b) => a.time - b.time);
+      if (entries.length !== 0) {
+        this?.log?.debug?.('Backfilling %s history entries for "%s"', entries.length, deviceData.description);
+        history[deviceData.serialNumber] = entries;
+      }
+    }
+
+    return history;
+  }
+
+  async #getEquipmentHistory(uuid, site, serialNumber, startTime) {
+    // Get the telemetry for an inverter since the start time as history entries. The API allows up to one week per request
+    let entries = [];
+
+    try {
+      let data = await this.#request(
+        uuid,
+        site,
+        '/equipment/' + site.id + '/' + serialNumber + '/data',
+        {
+          startTime: formatSiteTime(new Date(startTime * 1000), site?.location?.timeZone),
+          endTime: formatSiteTime(new Date(), site?.location?.timeZone),
+        },
+        { timeout: 30000 },
+      );
+
+      Array.isArray(data?.data?.telemetries) === true &&
+        data.data.telemetries.forEach((telemetry) => {
+          let phases = ['L1Data', 'L2Data', 'L3Data'].filter((phase) => typeof telemetry?.[phase] === 'object');
+          entries.push({
+            time: Math.floor(parseSiteTime(telemetry.date, site?.location?.timeZone) / 1000),
+            watts: Number(telemetry?.totalActivePower) || 0,
+            volts: phases.reduce((total, phase) => total + (Number(telemetry[phase]?.acVoltage) || 0) / phases.length, 0),
+            amps: phases.reduce((total, phase) => total + (Number(telemetry[phase]?.acCurrent) || 0), 0),
+          });
+        });
+    } catch (error) {
+      this.#logRequestError(uuid, 'equipment history for inverter "' + serialNumber + '"', error);
+    }
+
+    return entries;
+  }
+
+  #loadSnapshot() {
+    // Load the last snapshot of data we saved for each connection, marked as stale, and send to devices so accessories
+    // have their last known state straight away. Live data replaces this once we've connected
+    // The site list and inventory in the snapshot are also used to save requests
+    if (typeof this.api?.user?.persistPath !== 'function') {
+      return;
+    }
+
+    let snapshot = loadJSON(path.join(this.api.user.persistPath(), SNAPSHOT_FILE));
+    let restored = 0;
+    Object.entries(this.#connections).forEach(([uuid, connection]) => {
+      let saved = snapshot?.[connection.id];
+      if (typeof saved !== 'object' || saved === null) {
+        return;
+      }
+
+      if (Array.isArray(saved?.sites?.list) === true) {
+        connection.sites = saved.sites;
+      }
+      if (typeof saved?.inventory === 'object' && saved.inventory !== null) {
+        connection.inventory = saved.inventory;
+      }
+
+      Object.values(typeof saved?.data === 'object' && saved.data !== null ? saved.data : {}).forEach((data) => {
+        if (data?.site?.id === undefined || this.#rawData?.[data.site.id] !== undefined) {
+          return;
+        }
+
+        this.#rawData[data.site.id] = {
+          ...data,
+          connection: uuid,
+          stale: true,
+        };
+        restored++;
+      });
+    });
+
+    if (restored !== 0) {
+      this?.log?.info?.('Restored last known data for %s site(s) until live data is received', restored);
+      this.#processPostSubscribe();
+    }
+  }
+
+  #saveSnapshot(force = false) {
+    // Save a snapshot of the latest data for each connection, being the site list, inventory and the data for each site
+    // To limit disk writes, we only save every few minutes unless forced
+    if (
+      typeof this.api?.user?.persistPath !== 'function' ||
+      (force === false && Date.now() - this.#snapshotSaved < SNAPSHOT_SAVE_INTERVAL)
+    ) {
+      return;
+    }
+
+    let snapshot = {};
+    Object.entries(this.#connections).forEach(([uuid, connection]) => {
+      snapshot[connection.id] = {
+        sites: connection?.sites,
+        inventory: connection?.inventory,
+        data: {},
+      };
+
+      Object.values(this.#rawData)
+        .filter((data) => data?.connection === uuid)
+        .forEach((data) => {
+          // Connection uuids change between restarts, and history and stale are only for the current update
+          // eslint-disable-next-line no-unused-vars
+          let { connection: connectionUUID, history, stale, ...siteData } = data;
+          snapshot[connection.id].data[data.site.id] = siteData;
+        });
+    });
+
+    this.#snapshotSaved = Date.now();
+    saveJSON(path.join(this.api.user.persistPath(), SNAPSHOT_FILE), snapshot);
+    if (this.#tariff !== undefined) {
+      saveJSON(path.join(this.api.user.persistPath(), TARIFF_FILE), this.#tariff.getState());
+    }
+    if (this.config.performance?.enabled === true) {
+      saveJSON(
+        path.join(this.api.user.persistPath(), PERFORMANCE_FILE),
+        Object.fromEntries(Object.entries(this.#performance).map(([siteId, site]) => [siteId, { best: site.best }])),
+      );
+    }
+  }
+
+  #publishMQTT(deviceData) {
+    // Publish the device's state as retained JSON, along with Home Assistant discovery the first time we see the device
+    let entities = MQTT_ENTITIES?.[deviceData?.type];
+    if (this.#mqttClient === undefined || entities === undefined) {
+      return;
+    }
+
+    let id = 'solaredge_' + String(deviceData.serialNumber).replace(/[^a-zA-Z0-9_-]/g, '_');
+    let stateTopic = this.config.mqtt.topic + '/' + deviceData.serialNumber + '/state';
+    let state = {};
+    entities.forEach((entity) => {
+      state[entity.key] = entity.value(deviceData) ?? null;
+    });
+    state.online = deviceData.online === true;
+    state.stale = deviceData.stale === true;
+
+    if (this.config.mqtt?.discovery !== false && this.#mqttDiscovery?.[deviceData.serialNumber] === undefined) {
+      this.#mqttDiscovery[deviceData.serialNumber] = true;
+      entities.forEach((entity) => {
+        this.#mqttClient.publish(
+          this.config.mqtt.discoveryPrefix + '/' + entity.component + '/' + id + '/' + entity.key + '/config',
+          {
+            name: entity.name,
+            unique_id: id + '_' + entity.key,
+            object_id: id + '_' + entity.key,
+            state_topic: stateTopic,
+            value_template:
+              entity.component === 'binary_sensor'
+                ? `{{ 'ON' if value_json.${entity.key} else 'OFF' }}`
+                : '{{ value_json.' + entity.key + ' }}',
+            unit_of_measurement: entity.unit,
+            device_class: entity.deviceClass,
+            state_class: entity.stateClass,
+            availability_topic: this.config.mqtt.topic + '/status',
+            device: {
+              identifiers: [id],
+              name: deviceData.description,
+              manufacturer: deviceData.manufacturer,
+              model: deviceData.model,
+              sw_version: deviceData.softwareVersion,
+              serial_number: deviceData.serialNumber,
+            },
+          },
+          true,
+        );
+      });
+    }
+
+    this.#mqttClient.publish(stateTopic, state, true);
+  }
+
+  #updateTariff() {
+    // Add each site's latest power flows to its running cost totals. When a new day starts at a site, we log the previous day's totals
+    if (this.#tariff === undefined) {
+      return;
+    }
+
+    Object.values(this.#rawData)
+      .filter((data) => data?.stale !== true && isNaN(data?.time) === false)
+      .forEach((data) => {
+        let powerflow = convertPowerFlow(data.powerflow);
+        let previousDay = this.#tariff.update(
+          data.site.id,
+          data.time,
+          {
+            ...getGridPower(powerflow),
+            production: Number(powerflow?.PV?.currentPower) || 0,
+            charging: String(powerflow?.STORAGE?.status).toUpperCase() === 'CHARGING' ? Number(powerflow.STORAGE.currentPower) || 0 : 0,
+          },
+          data.site?.location?.timeZone,
+        );
+
+        if (previousDay !== undefined) {
+          let currency = this.#tariff.currency !== '' ? this.#tariff.currency + ' ' : '';
+          this?.log?.info?.(
+            'Site "%s" for %s: import cost %s%s, export credit %s%s, solar savings %s%s, net cost including supply %s%s',
+            this.config.sites?.[String(data.site.id).toUpperCase()]?.name ?? data.site?.name ?? data.site.id,
+            previousDay.date,
+            currency,
+            previousDay.importCost.toFixed(2),
+            currency,
+            previousDay.exportCredit.toFixed(2),
+            currency,
+            previousDay.savings.toFixed(2),
+            currency,
+            previousDay.netCost.toFixed(2),
+          );
+        }
+      });
+  }
+
+  #checkPerformance() {
+    // Compare each site's solar production against what we'd expect for clear sky, flagging the site as underperforming when
+    // production stays below the configured ratio for the configured time while the sun is high enough
+    // When calibrating, the clear sky model is scaled by the best seen over recent days to allow for the panels' tilt,
+    // orientation and shading. Cloudy weather will also lower production, so the time should be long enough to ride this out
+    if (this.config.performance?.enabled !== true) {
+      return;
+    }
+
+    Object.values(this.#rawData)
+      .filter((data) => data?.stale !== true && isNaN(data?.time) === false)
+      .forEach((data) => {
+        let peakPower = (this.config.sites?.[String(data.site.id).toUpperCase()]?.peakPower ?? data.site?.peakPower) * 1000;
+        if (isNaN(peakPower) === true || peakPower <= 0) {
+          return;
+        }
+
+        if (typeof this.#performance?.[data.site.id] !== 'object') {
+          this.#performance[data.site.id] = { best: {}, below: undefined, underperforming: false, expected: undefined };
+        }
+
+        let site = this.#performance[data.site.id];
+        let name = this.config.sites?.[String(data.site.id).toUpperCase()]?.name ?? data.site?.name ?? data.site.id;
+        let location = this.#getSiteLocation(data.site);
+        if (location === undefined) {
+          // Can't work out where the sun is without knowing where the site is
+          return;
+        }
+
+        let elevation = getSunElevation(new Date(data.time), location.latitude, location.longitude);
+        let clearSky = getClearSkyPower(elevation, peakPower);
+        let production = Number(convertPowerFlow(data.powerflow)?.PV?.currentPower) || 0;
+
+        if (elevation < this.config.performance.elevation || clearSky <= 0) {
+          // Sun is too low to compare against. Any underperformance stays flagged until production recovers
+          site.below = undefined;
+          site.expected = undefined;
+          return;
+        }
+
+        if (this.config.performance.calibrate === true) {
+          // Record the best ratio of production to clear sky for the day at the site, keeping only the recent days
+          let date = formatSiteTime(new Date(data.time), data.site?.location?.timeZone).slice(0, 10);
+          site.best[date] = Math.max(site.best?.[date] ?? 0, production / clearSky);
+          Object.keys(site.best)
+            .sort()
+            .slice(0, -CALIBRATION_DAYS)
+            .forEach((day) => delete site.best[day]);
+        }
+
+        let best = Object.values(site.best);
+        site.expected = Math.round(clearSky * (this.config.performance.calibrate === true && best.length !== 0 ? Math.max(...best) : 1));
+
+        if (production < site.expected * this.config.performance.ratio) {
+          site.below = site.below ?? data.time;
+          if (site.underperforming === false && data.time - site.below >= this.config.performance.duration) {
+            site.underperforming = true;
+            this?.log?.warn?.(
+              'Solar production at site "%s" has been below %s%% of expected for over %s minutes (%sW of an expected %sW). ' +
+                'Inverters will show a fault until production recovers',
+              name,
+              Math.round(this.config.performance.ratio * 100),
+              Math.round(this.config.performance.duration / 60000),
+              Math.round(production),
+              site.expected,
+            );
+          }
+          return;
+        }
+
+        site.below = undefined;
+        if (site.underperforming === true) {
+          site.underperforming = false;
+          this?.log?.success?.(
+            'Solar production at site "%s" has recovered (%sW of an expected %sW)',
+            name,
+            Math.round(production),
+            site.expected,
+          );
+        }
+      });
+  }
+
+  #getStatus() {
+    // Status of our connections, sites and devices for the metrics server, built from the data we already have
+    let devices = Object.values(this.#processData(''))
+      .map((deviceData) => this.#applySettings(deviceData))
+      .filter((deviceData) => deviceData.excluded === false);
+    let sites = Object.values(this.#rawData).filter((data) => this.config.sites?.[String(data.site.id).toUpperCase()]?.exclude !== true);
+
+    return {
+      time: Date.now(),
+      connections: Object.values(this.#connections).map((connection) => ({
+        id: connection.id,
+        type: connection.type,
+        name: connection?.name ?? '',
+        apiVersion: connection?.apiVersion,
+        authorised: connection.authorised === true,
+        lastPoll: connection?.lastPoll,
+        requests: connection?.requests ?? {},
+        health: connection?.health,
+      })),
+      sites: sites.map((data) => {
+        let powerflow = convertPowerFlow(data.powerflow);
+        let gridPower = getGridPower(powerflow);
+        let storagePower = Number(powerflow?.STORAGE?.currentPower) || 0;
+
+        return {
+          id: data.site.id,
+          name: this.config.sites?.[String(data.site.id).toUpperCase()]?.name ?? data.site?.name,
+          connection: this.#connections?.[data.connection]?.id,
+          time: data?.time,
+          stale: data?.stale === true,
+          peakPower: (this.config.sites?.[String(data.site.id).toUpperCase()]?.peakPower ?? data.site?.peakPower) * 1000,
+          pvPower: Number(powerflow?.PV?.currentPower) || 0,
+          importPower: gridPower.import,
+          exportPower: gridPower.export,
+          loadPower: Number(powerflow?.LOAD?.currentPower) || 0,
+          storagePower: String(powerflow?.STORAGE?.status).toUpperCase() === 'DISCHARGING' ? -storagePower : storagePower,
+          gridDown: typeof powerflow?.GRID === 'object' ? getGridState(powerflow).down : undefined,
+          expectedPower: this.#performance?.[data.site.id]?.expected,
+          underperforming: this.#performance?.[data.site.id]?.underperforming === true,
+          tariff: this.#tariff?.getTotals?.(data.site.id),
+        };
+      }),
+      devices: devices.map((deviceData) => {
+        // eslint-disable-next-line no-unused-vars
+        let { history, powerflow, ...device } = deviceData;
+        return device;
+      }),
+    };
+  }
+
+  #saveLastHistory(force = false) {
+    // Save the times we last sent data to each device. To limit disk writes, we only save once a minute unless forced
+    if (typeof this.api?.user?.persistPath !== 'function' || (force === false && Date.now() - this.#lastHistorySaved < 60000)) {
+      return;
+    }
+
+    this.#lastHistorySaved = Date.now();
+    saveJSON(path.join(this.api.user.persistPath(), HISTORY_FILE), this.#lastHistory);
+  }
+
+  async #getSiteData(uuid, site) {
+    // Get the inventory and current powerflow for a site, with v2 responses mapped into the v1 formats
+    // If we fail to get either of them, we'll return nothing
+    // Inventory rarely changes, so to save requests we use the last inventory if retrieved within the refresh interval
+    let connection = this.#connections[uuid];
+    let inventory =
+      connection?.inventory?.[site.id] !== undefined && Date.now() - connection.inventory[site.id].time < INVENTORY_REFRESH_INTERVAL
+        ? connection.inventory[site.id].data
+        : undefined;
+    const FETCHURLS =
+      connection.apiVersion === 'v2'
+        ? { inventory: '/sites/' + site.id + '/devices', powerflow: '/sites/' + site.id + '/power-flow' }
+        : { inventory: '/site/' + site.id + '/inventory.json', powerflow: '/site/' + site.id + '/currentPowerFlow.json' };
+    if (inventory !== undefined) {
+      delete FETCHURLS.inventory;
+    }
+    let tempObject = {};
+
+    await Promise.all(
+      Object.entries(FETCHURLS).map(async ([key, url]) => {
+        try {
+          tempObject[key] = await this.#request(uuid, site, url, {}, { timeout: 30000 });
+        } catch (error) {
+          this.#logRequestError(uuid, 'data from url "' + url + '"', error);
+        }
+      }),
+    );
+
+    if (Object.keys(tempObject).length !== Object.keys(FETCHURLS).length) {
+      return;
+    }
+
+    if (inventory === undefined) {
+      inventory = connection.apiVersion === 'v2' ? mapV2Inventory(tempObject.inventory) : tempObject.inventory?.Inventory;
+      if (typeof connection.inventory !== 'object') {
+        connection.inventory = {};
+      }
+      connection.inventory[site.id] = {
+        time: Date.now(),
+        data: inventory,
+      };
+    }
+
+    return {
+      inventory: inventory,
+      powerflow: connection.apiVersion === 'v2' ? mapV2PowerFlow(tempObject.powerflow) : tempObject.powerflow?.siteCurrentPowerFlow,
+    };
+  }
+
+  async #getStorageData(uuid, site) {
+    // Get the most recent telemetry for each battery at the site over the past 15mins
+    // Start and end times for the storage data are specified in the site's local time
+    // NOTE: Only available via v1 of the API
+    let storage = {};
+    let endTime = new Date();
+    let startTime = new Date(endTime.getTime() - 1000 * 60 * 15);
+
+    if (this.#connections[uuid].apiVersion !== 'v1') {
+      return storage;
+    }
+
+    try {
+      let data = await this.#request(
+        uuid,
+        site,
+        '/site/' + site.id + '/storageData',
+        {
+          startTime: formatSiteTime(startTime, site?.location?.timeZone),
+          endTime: formatSiteTime(endTime, site?.location?.timeZone),
+        },
+        { timeout: 30000 },
+      );
+
+      Array.isArray(data?.storageData?.batteries) === true &&
+        data.storageData.batteries.forEach((battery) => {
+          if (
+            typeof battery?.serialNumber === 'string' &&
+            Array.isArray(battery?.telemetries) === true &&
+            battery.telemetries.length !== 0
+          ) {
+            storage[battery.serialNumber.toUpperCase()] = {
+              nameplate: battery.nameplate,
+              ...battery.telemetries[battery.telemetries.length - 1],
+            };
+          }
+        });
+    } catch (error) {
+      this.#logRequestError(uuid, 'battery storage data for site "' + site.id + '"', error);
+    }
+
+    return storage;
+  }
+
+  async #getMeterData(uuid, site) {
+    // Get the most recent lifetime energy reading for each meter type at the site over the past hour
+    // Readings are in Wh and keyed by the meter type, ie: Production, Consumption, FeedIn, Purchased
+    // NOTE: Only available via v1 of the API
+    let meters = {};
+    let endTime = new Date();
+    let startTime = new Date(endTime.getTime() - 1000 * 60 * 60);
+
+    if (this.#connections[uuid].apiVersion !== 'v1') {
+      return meters;
+    }
+
+    try {
+      let data = await this.#request(
+        uuid,
+        site,
+        '/site/' + site.id + '/meters',
+        {
+          timeUnit: 'QUARTER_OF_AN_HOUR',
+          startTime: formatSiteTime(startTime, site?.location?.timeZone),
+          endTime: formatSiteTime(endTime, site?.location?.timeZone),
+        },
+        { timeout: 30000 },
+      );
+
+      Array.isArray(data?.meterEnergyDetails?.meters) === true &&
+        data.meterEnergyDetails.meters.forEach((meter) => {
+          let values = Array.isArray(meter?.values) === true ? meter.values.filter((value) => isNaN(value?.value) === false) : [];
+          if (typeof meter?.meterType === 'string' && values.length !== 0) {
+            meters[meter.meterType.toUpperCase()] = Number(values[values.length - 1].value);
+          }
+        });
+    } catch (error) {
+      this.#logRequestError(uuid, 'meter data for site "' + site.id + '"', error);
+    }
+
+    return meters;
+  }
+
+  async #getSensorData(uuid, site) {
+    // Get the latest readings from the environmental sensors at the site, grouped by the gateway they're connected to
+    // The site's sensor list is refreshed along with its inventory, and readings are only requested if the site has sensors
+    let connection = this.#connections[uuid];
+    let sensors = {};
+    if (connection.apiVersion !== 'v1') {
+      return sensors;
+    }
+
+    if (typeof connection.sensors !== 'object') {
+      connection.sensors = {};
+    }
 
+    if (connection.sensors?.[site.id] === undefined || Date.now() - connection.sensors[site.id].time >= INVENTORY_REFRESH_INTERVAL) {
       try {
-        let response = await fetchWrapper(
-          'get',
-          'https://monitoringapi.solaredge.com/sites/list?sortProperty=name&sortOrder=ASC&api_key=' + this.#connections[uuid].apiKey,
-          {},
-        );
-        await response.json();
+        let data = await this.#request(uuid, site, '/equipment/' + site.id + '/sensors', {}, { timeout: 30000 });
+        connection.sensors[site.id] = {
+          time: Date.now(),
+          list: Array.isArray(data?.SiteSensors?.list) === true ? data.SiteSensors.list : [],
+        };
+      } catch (error) {
+        // Keep any sensor list we already have, and don't ask again until the next refresh
+        connection.sensors[site.id] = {
+          time: Date.now(),
+          list: connection.sensors?.[site.id]?.list ?? [],
+        };
+        this.#logRequestError(uuid, 'the sensor list for site "' + site.id + '"', error);
+      }
+    }
 
-        this.#connections[uuid].authorised = true;
+    if (Array.isArray(connection.sensors?.[site.id]?.list) === false || connection.sensors[site.id].list.length === 0) {
+      return sensors;
+    }
 
-        this?.log?.success?.('Successfully authorised to SolarEdge Monitoring API');
-      } catch (error) {
-        this.#connections[uuid].authorised = false;
+    let endTime = new Date();
+    let startTime = new Date(endTime.getTime() - 1000 * 60 * 30);
+    try {
+      let data = await this.#request(
+        uuid,
+        site,
+        '/site/' + site.id + '/sensors',
+        {
+          startDate: formatSiteTime(startTime, site?.location?.timeZone),
+          endDate: formatSiteTime(endTime, site?.location?.timeZone),
+        },
+        { timeout: 30000 },
+      );
 
-        this?.log?.error?.(
-          'Authorisation failed to SolarEdge Monitoring API. A periodic retry event will be triggered',
-          String(error?.cause),
-        );
-      }
+      Array.isArray(data?.siteSensors?.data) === true &&
+        data.siteSensors.data.forEach((gateway) => {
+          if (
+            typeof gateway?.connectedTo === 'string' &&
+            Array.isArray(gateway?.telemetries) === true &&
+            gateway.telemetries.length !== 0
+          ) {
+            sensors[gateway.connectedTo] = gateway.telemetries[gateway.telemetries.length - 1];
+          }
+        });
+    } catch (error) {
+      this.#logRequestError(uuid, 'sensor data for site "' + site.id + '"', error);
     }
+
+    return sensors;
   }
 
-  async #subscribeREST(uuid) {
-    if (typeof this.#connections?.[uuid] !== 'object' || this.#connections?.[uuid]?.authorised !== true) {
+  async #getEquipmentData(uuid, site, serialNumber) {
+    // Get the most recent telemetry for an inverter over the past 30mins
+    // Inverters report telemetry every 5mins, with start and end times specified in the site's local time
+    // NOTE: Only available via v1 of the API
+    if (typeof serialNumber !== 'string' || serialNumber === '' || this.#connections[uuid].apiVersion !== 'v1') {
       return;
     }
 
+    let telemetry = undefined;
+    let endTime = new Date();
+    let startTime = new Date(endTime.getTime() - 1000 * 60 * 30);
+
     try {
-      let response = await fetchWrapper(
-        'get',
-        'https://monitoringapi.solaredge.com/sites/list?sortProperty=name&sortOrder=ASC&api_key=' + this.#connections[uuid].apiKey,
-        {},
+      let data = await this.#request(
+        uuid,
+        site,
+        '/equipment/' + site.id + '/' + serialNumber + '/data',
+        {
+          startTime: formatSiteTime(startTime, site?.location?.timeZone),
+          endTime: formatSiteTime(endTime, site?.location?.timeZone),
+        },
+        { timeout: 30000 },
       );
-      let data = await response.json();
-
-      if (Array.isArray(data?.sites?.site) === true) {
-        const FETCHURLS = ['/inventory.json', '/currentPowerFlow.json'];
-
-        for (const site of data.sites.site) {
-          let tempObject = {};
-
-          await Promise.all(
-            FETCHURLS.map(async (url) => {
-              try {
-                let response = await fetchWrapper(
-                  'get',
-                  'https://monitoringapi.solaredge.com/site/' + site.id + url + '?api_key=' + this.#connections[uuid].apiKey,
-                  {
-                    timeout: 30000,
-                  },
-                );
-                tempObject[url] = await response.json();
-              } catch (error) {
-                if (String(error?.cause).toUpperCase().includes('TIMEOUT') === false && this?.log?.debug) {
-                  this.log.debug('REST API had an error obtaining data from url "%s" for uuid "%s"', url, uuid);
-                  this.log.debug('Error was "%s"', String(error?.cause));
-                }
-              }
-            }),
-          );
-
-          if (Object.keys(tempObject).length === FETCHURLS.length) {
-            this.#rawData[site.id] = {
-              connection: uuid,
-              site: site,
-              inventory: tempObject['/inventory.json'].Inventory,
-              powerflow: tempObject['/currentPowerFlow.json'].siteCurrentPowerFlow,
-            };
 
-            await this.#processPostSubscribe();
-          }
-        }
+      if (Array.isArray(data?.data?.telemetries) === true && data.data.telemetries.length !== 0) {
+        telemetry = data.data.telemetries[data.data.telemetries.length - 1];
       }
-    } catch {
-      // Suppress site list fetch errors
+    } catch (error) {
+      this.#logRequestError(uuid, 'equipment data for inverter "' + serialNumber + '"', error);
     }
 
-    setTimeout(() => this.#subscribeREST(uuid), SUBSCRIBE_INTERVAL);
+    return telemetry;
   }
 
-  #processPostSubscribe() {
+  #processPostSubscribe(siteId = undefined) {
+    // Send updated data to the devices at the site we've just polled, or all sites if none given (ie: restoring our last snapshot)
+    // Devices at other sites keep their last update, so a site whose polls are failing doesn't record repeated history
+    this.#updateTariff();
+    this.#checkPerformance();
+
     Object.values(this.#processData('')).forEach((deviceData) => {
+      if (siteId !== undefined && String(deviceData?.siteid) !== String(siteId)) {
+        return;
+      }
+
+      // Apply any site and device settings from the configuration
+      deviceData = this.#applySettings(deviceData);
+      deviceData.stale = this.#rawData?.[deviceData.siteid]?.stale === true;
+
       if (this.#trackedDevices?.[deviceData?.serialNumber] === undefined && deviceData?.excluded === true) {
         // We haven't tracked this device before (ie: should be a new one) and but its excluded
         this?.log?.warn?.('Device "%s" is ignored due to it being marked as excluded', deviceData.description);
@@ -357,10 +2898,14 @@ class SolarEdgeAccfactory {
         }
       }
 
-      if (this.#trackedDevices?.[deviceData?.serialNumber] === undefined && deviceData?.excluded === false) {
-        // SolarEdge Inverter - Categories.OUTLET = 7
-        let tempDevice = new SolarInverter(this.cachedAccessories, this.api, this.log, deviceData);
-        tempDevice.add('SolarEdge Invertor', 7, true);
+      if (
+        this.#trackedDevices?.[deviceData?.serialNumber] === undefined &&
+        deviceData?.excluded === false &&
+        DEVICE_TYPES?.[deviceData?.type] !== undefined
+      ) {
+        // Create the HomeKit device using the class for this type of device
+        let tempDevice = new DEVICE_TYPES[deviceData.type].class(this.cachedAccessories, this.api, this.log, deviceData);
+        tempDevice.add(DEVICE_TYPES[deviceData.type].name, DEVICE_TYPES[deviceData.type].category, true);
 
         // Track this device once created
         this.#trackedDevices[deviceData.serialNumber] = {
@@ -370,13 +2915,61 @@ class SolarEdgeAccfactory {
         };
       }
 
+      // Track when an inverter's data last changed. We only expect it to change while the inverter is generating
+      // Live data following data restored from a snapshot starts the clock again, rather than carrying over the snapshot's age
+      if (deviceData?.type === SolarInverter.TYPE || deviceData?.type === SolarSite.TYPE) {
+        let signature = JSON.stringify([deviceData.power, deviceData.voltage, deviceData.current, deviceData.energy?.lifetime]);
+        if (
+          this.#dataChanged?.[deviceData.serialNumber]?.signature !== signature ||
+          this.#dataChanged?.[deviceData.serialNumber]?.restored === true ||
+          deviceData.generating === false
+        ) {
+          this.#dataChanged[deviceData.serialNumber] = {
+            signature: signature,
+            restored: deviceData.stale === true,
+            time: deviceData.stale === true ? this.#rawData[deviceData.siteid].time : Date.now(),
+          };
+        }
+        deviceData.dataTime = this.#dataChanged[deviceData.serialNumber].time;
+      }
+
       // Finally, if device is not excluded, send updated data to device for it to process
       if (deviceData.excluded === false && this.#trackedDevices?.[deviceData?.serialNumber] !== undefined) {
         if (this.#trackedDevices?.[deviceData?.serialNumber]?.uuid !== undefined) {
           HomeKitDevice.message(this.#trackedDevices[deviceData.serialNumber].uuid, HomeKitDevice.UPDATE, deviceData);
+          this.#publishMQTT(deviceData);
+          if (deviceData.stale === false && isNaN(this.#rawData?.[deviceData.siteid]?.time) === false) {
+            // History is up to date as of when this data was retrieved
+            this.#lastHistory[deviceData.serialNumber] = Math.floor(this.#rawData[deviceData.siteid].time / 1000);
+          }
         }
       }
     });
+
+    this.#saveLastHistory();
+    this.#saveSnapshot();
+  }
+
+  #applySettings(deviceData) {
+    // Apply the site and device settings from the configuration to the device's data
+    // Device settings take precedence over site settings, which take precedence over the general options
+    let siteSettings = this.config.sites?.[String(deviceData?.siteid).toUpperCase()] ?? {};
+    let deviceSettings = this.config.devices?.[String(deviceData?.serialNumber).toUpperCase()] ?? {};
+
+    deviceData.excluded = deviceData.excluded === true || siteSettings.exclude === true || deviceSettings.exclude === true;
+    deviceData.eveHistory = deviceSettings.eveHistory ?? siteSettings.eveHistory ?? deviceData.eveHistory;
+    if (deviceSettings.name !== undefined) {
+      deviceData.description = HomeKitDevice.makeValidHKName(deviceSettings.name);
+    }
+    if (deviceSettings.peakPower !== undefined && deviceData.peakPower !== undefined) {
+      deviceData.peakPower = deviceSettings.peakPower * 1000; // Configured in kW
+    }
+    if (deviceData.profile !== undefined) {
+      deviceData.profile = deviceSettings.profile ?? siteSettings.profile ?? deviceData.profile;
+      deviceData.measure = deviceSettings.power ?? siteSettings.power ?? deviceData.measure;
+    }
+
+    return deviceData;
   }
 
   #processData(deviceUUID) {
@@ -387,23 +2980,9 @@ class SolarEdgeAccfactory {
     let devices = {};
 
     Object.values(this.#rawData).forEach((data) => {
-      let powerflow = structuredClone(data.powerflow);
-      let unitMultiplier = 1000;
-
-      if (typeof powerflow?.unit === 'string') {
-        let unit = powerflow.unit.toUpperCase();
-        if (unit === 'MW') {
-          unitMultiplier = 1000000;
-        } else if (unit === 'W') {
-          unitMultiplier = 1;
-        }
-      }
+      let powerflow = convertPowerFlow(data.powerflow);
 
-      ['GRID', 'PV', 'LOAD'].forEach((key) => {
-        if (powerflow?.[key]?.currentPower !== undefined) {
-          powerflow[key].currentPower *= unitMultiplier;
-        }
-      });
+      let inverterCount = Array.isArray(data?.inventory?.inverters) === true ? data.inventory.inverters.length : 0;
 
       Array.isArray(data?.inventory?.inverters) === true &&
         data.inventory.inverters.forEach((inverter) => {
@@ -414,7 +2993,31 @@ class SolarEdgeAccfactory {
             description = location;
           }
 
+          // Use the inverter's own telemetry if we have it. Otherwise, we'll share the site's solar generation
+          // evenly between the inverters at the site
+          let telemetry = data?.equipment?.[serial];
+          let phases = ['L1Data', 'L2Data', 'L3Data'].filter((phase) => typeof telemetry?.[phase] === 'object');
+          let power = inverterCount > 0 ? (powerflow?.PV?.currentPower ?? 0) / inverterCount : 0;
+          let voltage = 0;
+          let current = 0;
+          let frequency = 0;
+          if (telemetry !== undefined) {
+            power = Number(telemetry?.totalActivePower) || 0;
+            phases.forEach((phase) => {
+              // Voltage and frequency are averaged across phases, current is the total across phases
+              voltage += (Number(telemetry[phase]?.acVoltage) || 0) / phases.length;
+              frequency += (Number(telemetry[phase]?.acFrequency) || 0) / phases.length;
+              current += Number(telemetry[phase]?.acCurrent) || 0;
+            });
+          }
+
+          // Inverter state from its operation mode. The SolarEdge vendor status code is only available via Modbus, and is
+          // reported alongside a fault for detail rather than indicating a fault itself, as it can be nonzero while operating normally
+          let inverterMode = typeof telemetry?.inverterMode === 'string' ? telemetry.inverterMode.toUpperCase() : undefined;
+          let errorCode = isNaN(telemetry?.vendorStatus) === false ? Number(telemetry.vendorStatus) : 0;
+
           devices[serial] = {
+            type: SolarInverter.TYPE,
             excluded: false,
             serialNumber: serial,
             softwareVersion: inverter.cpuVersion.replace(/-/g, '.'),
@@ -423,10 +3026,303 @@ class SolarEdgeAccfactory {
             siteid: data.site.id,
             installationDate: data.site.installationDate,
             description: HomeKitDevice.makeValidHKName(location === '' ? description : description + ' - ' + location),
-            peakPower: data.site.peakPower * unitMultiplier,
+            peakPower:
+              ((this.config.sites?.[String(data.site.id).toUpperCase()]?.peakPower ?? data.site.peakPower) * 1000) /
+              (inverterCount > 0 ? inverterCount : 1), // Site peak power is in kW
+            power: power,
+            voltage: voltage,
+            current: current,
+            frequency: frequency,
+            temperature: telemetry?.temperature,
+            inverterMode: inverterMode,
+            operationMode: telemetry?.operationMode,
+            errorCode: errorCode,
+            status:
+              FAULT_INVERTER_MODES.includes(inverterMode) === true
+                ? 'FAULT'
+                : OFF_INVERTER_MODES.includes(inverterMode) === true
+                  ? 'OFF'
+                  : 'NORMAL',
+            dataTime: Date.now(),
+            underperforming: this.#performance?.[data.site.id]?.underperforming === true,
+            staleTime: Math.max(this.config.options.staleTime * 60000, (this.#connections?.[data.connection]?.pollInterval ?? 0) * 2),
+            history: Array.isArray(data?.history?.[serial]) === true ? data.history[serial] : [],
+            energy: {
+              // Site totals only apply to the inverter if it's the only one at the site. Lifetime total from the inverter otherwise
+              today: inverterCount === 1 ? data?.energy?.PRODUCTION?.today : undefined,
+              month: inverterCount === 1 ? data?.energy?.PRODUCTION?.month : undefined,
+              lifetime:
+                inverterCount === 1 && data?.energy?.PRODUCTION?.lifetime !== undefined
+                  ? data.energy.PRODUCTION.lifetime
+                  : isNaN(telemetry?.totalEnergy) === false && telemetry?.totalEnergy !== null
+                    ? Number(telemetry.totalEnergy) / 1000
+                    : undefined,
+            },
+            generating:
+              telemetry !== undefined
+                ? power > 0 || ['MPPT', 'THROTTLED'].includes(String(telemetry?.inverterMode).toUpperCase()) === true
+                : powerflow?.PV?.currentPower !== 0 || powerflow?.PV?.status?.toUpperCase() === 'ACTIVE',
             powerflow: powerflow,
+            profile: this.config.options.inverterProfile,
+            measure: this.config.options.inverterPower,
+            exportPower: getGridPower(powerflow).export,
+            consumptionPower: Number(powerflow?.LOAD?.currentPower) || 0,
+            online: OFF_INVERTER_MODES.includes(inverterMode) === false,
+            eveHistory: this.config.options.eveHistory === true,
+          };
+        });
+
+      Array.isArray(data?.inventory?.batteries) === true &&
+        data.inventory.batteries.forEach((battery) => {
+          let serial = battery.SN.toUpperCase();
+          let location = typeof data?.site?.location?.city === 'string' ? data.site.location.city : '';
+          let description = battery.name;
+          if (description === '') {
+            description = location;
+          }
+
+          // Prefer the battery's own telemetry from storage data. Fallback to the site's storage powerflow
+          // which is the aggregate of all batteries at the site
+          let telemetry = data?.storage?.[serial];
+          let power = 0;
+          let status = 'IDLE';
+          if (telemetry !== undefined) {
+            // Positive power is charging, negative power is discharging
+            power = Number(telemetry.power) || 0;
+            status = power > 0 ? 'CHARGING' : power < 0 ? 'DISCHARGING' : 'IDLE';
+          }
+          if (telemetry === undefined && typeof powerflow?.STORAGE?.status === 'string') {
+            status = powerflow.STORAGE.status.toUpperCase();
+            power = status === 'DISCHARGING' ? -powerflow.STORAGE.currentPower : status === 'CHARGING' ? powerflow.STORAGE.currentPower : 0;
+          }
+
+          devices[serial] = {
+            type: SolarBattery.TYPE,
+            excluded: false,
+            serialNumber: serial,
+            softwareVersion: typeof battery?.firmwareVersion === 'string' ? battery.firmwareVersion.replace(/-/g, '.') : '0.0.0',
+            model: battery.model,
+            manufacturer: battery.manufacturer,
+            siteid: data.site.id,
+            installationDate: data.site.installationDate,
+            description: HomeKitDevice.makeValidHKName(location === '' ? description : description + ' - ' + location),
+            capacity: Number(battery?.nameplateCapacity ?? telemetry?.nameplate) || 0,
+            chargeLevel: Math.round(
+              Math.max(0, Math.min(100, Number(telemetry?.batteryPercentageState ?? powerflow?.STORAGE?.chargeLevel) || 0)),
+            ),
+            power: power,
+            status: status,
+            critical: powerflow?.STORAGE?.critical === true,
+            fault: telemetry?.batteryState === 4, // Battery state 4 = Fault
+            temperature: telemetry?.internalTemp,
+            online: true,
+            eveHistory: this.config.options.eveHistory === true,
+          };
+        });
+
+      // Work out which way power is flowing to/from the grid
+      let importing = false;
+      let exporting = false;
+      Array.isArray(powerflow?.connections) === true &&
+        powerflow.connections.forEach((flow) => {
+          if (flow?.from?.toUpperCase?.() === 'GRID') {
+            importing = true;
+          }
+          if (flow?.to?.toUpperCase?.() === 'GRID') {
+            exporting = true;
+          }
+        });
+
+      let location = typeof data?.site?.location?.city === 'string' ? data.site.location.city : '';
+      let siteName =
+        this.config.sites?.[String(data.site.id).toUpperCase()]?.name ??
+        (typeof data?.site?.name === 'string' && data.site.name !== '' ? data.site.name : location);
+
+      if (typeof powerflow?.GRID === 'object') {
+        // Site has a grid connection reported in its powerflow
+        let serial = String(data.site.id).toUpperCase() + '-GRID';
+        devices[serial] = {
+          type: GridMeter.TYPE,
+          excluded: false,
+          serialNumber: serial,
+          softwareVersion: GridMeter.VERSION,
+          model: 'Grid',
+          manufacturer: 'SolarEdge',
+          siteid: data.site.id,
+          installationDate: data.site.installationDate,
+          description: HomeKitDevice.makeValidHKName(siteName === '' ? 'Grid' : siteName + ' - Grid'),
+          importPower: importing === true ? Number(powerflow.GRID.currentPower) || 0 : 0,
+          exportPower: exporting === true ? Number(powerflow.GRID.currentPower) || 0 : 0,
+          importEnergy: {
+            today: data?.energy?.PURCHASED?.today,
+            month: data?.energy?.PURCHASED?.month,
+            lifetime: data?.meters?.PURCHASED !== undefined ? data.meters.PURCHASED / 1000 : undefined,
+          },
+          exportEnergy: {
+            today: data?.energy?.FEEDIN?.today,
+            month: data?.energy?.FEEDIN?.month,
+            lifetime: data?.meters?.FEEDIN !== undefined ? data.meters.FEEDIN / 1000 : undefined,
+          },
+          status: typeof powerflow.GRID?.status === 'string' ? powerflow.GRID.status.toUpperCase() : '',
+          history: Array.isArray(data?.history?.[serial]) === true ? data.history[serial] : [],
+          online: true,
+          eveHistory: this.config.options.eveHistory === true,
+        };
+      }
+
+      if (typeof powerflow?.LOAD === 'object') {
+        // Site has household consumption reported in its powerflow
+        let serial = String(data.site.id).toUpperCase() + '-LOAD';
+        devices[serial] = {
+          type: ConsumptionMeter.TYPE,
+          excluded: false,
+          serialNumber: serial,
+          softwareVersion: ConsumptionMeter.VERSION,
+          model: 'Home Consumption',
+          manufacturer: 'SolarEdge',
+          siteid: data.site.id,
+          installationDate: data.site.installationDate,
+          description: HomeKitDevice.makeValidHKName(siteName === '' ? 'Home Consumption' : siteName + ' - Home Consumption'),
+          power: Number(powerflow.LOAD.currentPower) || 0,
+          history: Array.isArray(data?.history?.[serial]) === true ? data.history[serial] : [],
+          energy: {
+            today: data?.energy?.CONSUMPTION?.today,
+            month: data?.energy?.CONSUMPTION?.month,
+            lifetime: data?.meters?.CONSUMPTION !== undefined ? data.meters.CONSUMPTION / 1000 : undefined,
+          },
+          online: true,
+          eveHistory: this.config.options.eveHistory === true,
+        };
+      }
+
+      // Whole site's solar production if the site has several inverters
+      let inverters = Object.values(devices).filter(
+        (deviceData) => deviceData.type === SolarInverter.TYPE && String(deviceData.siteid) === String(data.site.id),
+      );
+      if (inverters.length > 1) {
+        let serial = String(data.site.id).toUpperCase() + '-SITE';
+        devices[serial] = {
+          ...inverters[0],
+          type: SolarSite.TYPE,
+          serialNumber: serial,
+          softwareVersion: SolarSite.VERSION,
+          model: 'Site',
+          manufacturer: 'SolarEdge',
+          description: HomeKitDevice.makeValidHKName(siteName === '' ? 'Solar' : siteName + ' - Solar'),
+          peakPower: inverters.reduce((total, deviceData) => total + deviceData.peakPower, 0),
+          power: Number(powerflow?.PV?.currentPower) || 0,
+          voltage: 0,
+          current: 0,
+          frequency: 0,
+          temperature: undefined,
+          inverterMode: undefined,
+          operationMode: undefined,
+          errorCode: 0,
+          status:
+            inverters.some((deviceData) => deviceData.status === 'FAULT') === true
+              ? 'FAULT'
+              : inverters.every((deviceData) => deviceData.status === 'OFF') === true
+                ? 'OFF'
+                : 'NORMAL',
+          history: Array.isArray(data?.history?.[serial]) === true ? data.history[serial] : [],
+          energy: {
+            today: data?.energy?.PRODUCTION?.today,
+            month: data?.energy?.PRODUCTION?.month,
+            lifetime: data?.energy?.PRODUCTION?.lifetime,
+          },
+          generating: inverters.some((deviceData) => deviceData.generating === true),
+          online: inverters.some((deviceData) => deviceData.online === true),
+        };
+      }
+
+      // Costs from any tariff are shown on the site's accessory, being its site accessory or its only inverter
+      if (this.#tariff !== undefined && inverters.length !== 0) {
+        let siteDevice = inverters.length > 1 ? devices[String(data.site.id).toUpperCase() + '-SITE'] : inverters[0];
+        siteDevice.tariff = this.#tariff.getTotals(data.site.id) ?? { currency: this.#tariff.currency };
+      }
+
+      // Environmental sensors at the site, with an accessory for the sensors connected to each gateway
+      Object.entries(typeof data?.sensors === 'object' && data.sensors !== null ? data.sensors : {}).forEach(
+        ([connectedTo, telemetry], index, gateways) => {
+          let serial = String(data.site.id).toUpperCase() + '-SENSORS-' + connectedTo.toUpperCase().replace(/[^A-Z0-9]/g, '');
+          let name = gateways.length > 1 ? 'Sensors ' + (index + 1) : 'Sensors';
+          let value = (key) => (isNaN(telemetry?.[key]) === false && telemetry[key] !== null ? Number(telemetry[key]) : undefined);
+          devices[serial] = {
+            type: EnvironmentSensor.TYPE,
+            excluded: false,
+            serialNumber: serial,
+            softwareVersion: EnvironmentSensor.VERSION,
+            model: 'Sensors',
+            manufacturer: 'SolarEdge',
+            siteid: data.site.id,
+            installationDate: data.site.installationDate,
+            description: HomeKitDevice.makeValidHKName(siteName === '' ? name : siteName + ' - ' + name),
+            ambientTemperature: value('ambientTemperature'),
+            moduleTemperature: value('moduleTemperature'),
+            irradiance: value('globalHorizontalIrradiance') ?? value('directIrradiance') ?? value('diffuseHorizontalIrradiance'),
+            windSpeed: value('windSpeed'),
+            time: isNaN(data?.time) === false ? data.time : Date.now(),
+            online: true,
+            eveHistory: this.config.options.eveHistory === true,
+          };
+        },
+      );
+
+      // Grid availability sensor if enabled for this site, which needs the grid reported in the site's powerflow
+      let gridStatus = this.config.sites?.[String(data.site.id).toUpperCase()]?.gridStatus ?? this.config.options.gridStatus;
+      if (typeof powerflow?.GRID === 'object' && GRID_STATUS_SENSORS.includes(gridStatus) === true) {
+        let serial = String(data.site.id).toUpperCase() + '-GRIDSTATUS';
+        let gridState = getGridState(powerflow);
+        devices[serial] = {
+          type: GridStatus.TYPE,
+          excluded: false,
+          serialNumber: serial,
+          softwareVersion: GridStatus.VERSION,
+          model: 'Grid Status',
+          manufacturer: 'SolarEdge',
+          siteid: data.site.id,
+          installationDate: data.site.installationDate,
+          description: HomeKitDevice.makeValidHKName(siteName === '' ? 'Grid Status' : siteName + ' - Grid Status'),
+          sensor: gridStatus,
+          gridDown: gridState.down,
+          backup: gridState.backup,
+          status: typeof powerflow.GRID?.status === 'string' ? powerflow.GRID.status.toUpperCase() : '',
+          time: isNaN(data?.time) === false ? data.time : Date.now(),
+          online: true,
+          eveHistory: this.config.options.eveHistory === true,
+        };
+      }
+
+      // Power thresholds configured for this site, or all sites if no site specified
+      let power = {
+        export: exporting === true ? Number(powerflow?.GRID?.currentPower) || 0 : 0,
+        import: importing === true ? Number(powerflow?.GRID?.currentPower) || 0 : 0,
+        production: Number(powerflow?.PV?.currentPower) || 0,
+        consumption: Number(powerflow?.LOAD?.currentPower) || 0,
+      };
+      this.config.thresholds
+        .filter((threshold) => threshold.siteId === undefined || String(threshold.siteId) === String(data.site.id))
+        .forEach((threshold) => {
+          let serial = String(data.site.id).toUpperCase() + '-THRESHOLD-' + threshold.index;
+          devices[serial] = {
+            type: PowerThreshold.TYPE,
+            excluded: false,
+            serialNumber: serial,
+            softwareVersion: PowerThreshold.VERSION,
+            model: 'Power Threshold',
+            manufacturer: 'SolarEdge',
+            siteid: data.site.id,
+            installationDate: data.site.installationDate,
+            description: HomeKitDevice.makeValidHKName(threshold.name),
+            measure: threshold.measure,
+            power: power[threshold.measure],
+            threshold: threshold.threshold,
+            hysteresis: threshold.hysteresis,
+            delay: threshold.delay,
+            hold: threshold.hold,
+            sensor: threshold.sensor,
             online: true,
-            eveHistory: this.config.options.eveHistory === true || this.config?.devices?.[serial]?.eveHistory === true,
+            eveHistory: false,
           };
         });
     });
@@ -446,6 +3342,560 @@ function scaleValue(value, sourceMin, sourceMax, targetMin, targetMax) {
   return ((value - sourceMin) * (targetMax - targetMin)) / (sourceMax - sourceMin) + targetMin;
 }
 
+function formatSiteTime(date, timeZone) {
+  // Format a date as 'YYYY-MM-DD hh:mm:ss' in the site's timezone, as used by the SolarEdge API for start/end times
+  let parts = {};
+
+  try {
+    new Intl.DateTimeFormat('en-GB', {
+      timeZone: typeof timeZone === 'string' && timeZone !== '' ? timeZone : undefined,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(date)
+      .forEach((part) => {
+        parts[part.type] = part.value;
+      });
+  } catch {
+    // Invalid timezone, so we'll use the local timezone instead
+    return formatSiteTime(date, undefined);
+  }
+
+  return parts.year + '-' + parts.month + '-' + parts.day + ' ' + parts.hour + ':' + parts.minute + ':' + parts.second;
+}
+
+function getTimeZoneOffset(date, timeZone) {
+  // Get the offset from UTC in minutes for a timezone at the given date
+  let localTime = Date.parse(formatSiteTime(date, timeZone).replace(' ', 'T') + 'Z');
+
+  return Math.round((localTime - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+function parseSiteTime(time, timeZone) {
+  // Parse a 'YYYY-MM-DD hh:mm:ss' time in the site's timezone, as used by the SolarEdge API, into milliseconds since epoch
+  let localTime = Date.parse(String(time).replace(' ', 'T') + 'Z');
+
+  return localTime - getTimeZoneOffset(new Date(localTime), timeZone) * 60000;
+}
+
+function loadJSON(file) {
+  // Load a JSON file, returning undefined if it doesn't exist or isn't valid
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return undefined;
+  }
+}
+
+function saveJSON(file, data) {
+  // Save data to a JSON file, writing to a temporary file first so we don't leave a partial file behind
+  try {
+    fs.writeFileSync(file + '.tmp', JSON.stringify(data), 'utf8');
+    fs.renameSync(file + '.tmp', file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function getGridPower(powerflow) {
+  // Power being imported from and exported to the grid in watts, based on which way power is flowing in a converted powerflow
+  let importing = powerflow?.connections?.some?.((flow) => flow?.from?.toUpperCase?.() === 'GRID') === true;
+  let exporting = powerflow?.connections?.some?.((flow) => flow?.to?.toUpperCase?.() === 'GRID') === true;
+
+  return {
+    import: importing === true ? Number(powerflow?.GRID?.currentPower) || 0 : 0,
+    export: exporting === true ? Number(powerflow?.GRID?.currentPower) || 0 : 0,
+  };
+}
+
+function getGridState(powerflow) {
+  // Work out if the grid is down or the site is running on backup power from the site's powerflow
+  // Sites with backup interfaces report the grid's status, and may flag backup mode on the powerflow or its grid element
+  let backup =
+    powerflow?.backup === true ||
+    powerflow?.GRID?.backup === true ||
+    String(powerflow?.GRID?.status).toUpperCase() === 'BACKUP' ||
+    String(powerflow?.STORAGE?.status).toUpperCase() === 'BACKUP';
+
+  return {
+    down: backup === true || GRID_DOWN_STATUSES.includes(String(powerflow?.GRID?.status).toUpperCase().replace(/[\s-]/g, '_')) === true,
+    backup: backup,
+  };
+}
+
+function removeCostCharacteristics(service) {
+  // Remove any cost characteristics from a service, ie: cached accessories from when costs were shown on a different service
+  COST_CHARACTERISTICS.forEach((cost) => {
+    let characteristic = service?.characteristics?.find?.((characteristic) => characteristic.UUID === cost.uuid);
+    if (characteristic !== undefined) {
+      service.removeCharacteristic(characteristic);
+    }
+  });
+}
+
+function getCustomCharacteristic(hap, name, uuid, unit) {
+  // Custom characteristic for values HomeKit doesn't have a characteristic for. Created once per uuid as HAP needs the same class
+  if (CUSTOM_CHARACTERISTICS?.[uuid] === undefined) {
+    CUSTOM_CHARACTERISTICS[uuid] = class extends hap.Characteristic {
+      static UUID = uuid;
+
+      constructor() {
+        super(name, uuid, {
+          format: hap.Formats.FLOAT,
+          perms: [hap.Perms.PAIRED_READ, hap.Perms.NOTIFY],
+          unit: typeof unit === 'string' && unit !== '' ? unit : undefined,
+          minValue: -1000000,
+          maxValue: 1000000,
+          minStep: 0.01,
+        });
+        this.value = this.getDefaultValue();
+      }
+    };
+  }
+
+  return CUSTOM_CHARACTERISTICS[uuid];
+}
+
+function mqttEntity(component, key, name, unit, deviceClass, value) {
+  // Describe a value we publish to MQTT for Home Assistant discovery. Energy totals only increase, other values are measurements
+  return {
+    component: component,
+    key: key,
+    name: name,
+    unit: unit,
+    deviceClass: deviceClass,
+    stateClass: unit === 'kWh' ? 'total_increasing' : unit !== undefined ? 'measurement' : undefined,
+    value: value,
+  };
+}
+
+function convertPowerFlow(powerflow) {
+  // Copy a site's powerflow with the current power converted into watts from the powerflow's units (W, kW or MW)
+  let converted = structuredClone(powerflow);
+  let unitMultiplier = 1000;
+
+  if (typeof converted?.unit === 'string') {
+    let unit = converted.unit.toUpperCase();
+    if (unit === 'MW') {
+      unitMultiplier = 1000000;
+    } else if (unit === 'W') {
+      unitMultiplier = 1;
+    }
+  }
+
+  ['GRID', 'PV', 'LOAD', 'STORAGE'].forEach((key) => {
+    if (converted?.[key]?.currentPower !== undefined) {
+      converted[key].currentPower *= unitMultiplier;
+    }
+  });
+
+  return converted;
+}
+
+function parseSettings(settings, key) {
+  // Parse site or device settings from the configuration into an object key'd by the uppercase key property
+  // Settings are an array from the configuration UI, but we'll also accept an object already key'd, ie: devices: { serial: {} }
+  let parsed = {};
+  let list =
+    Array.isArray(settings) === true
+      ? settings
+      : typeof settings === 'object' && settings !== null
+        ? Object.entries(settings).map(([id, setting]) => ({ ...setting, [key]: id }))
+        : [];
+
+  list.forEach((setting) => {
+    if ((typeof setting?.[key] !== 'string' && typeof setting?.[key] !== 'number') || String(setting[key]).trim() === '') {
+      return;
+    }
+
+    parsed[String(setting[key]).trim().toUpperCase()] = {
+      exclude: setting?.exclude === true,
+      name: typeof setting?.name === 'string' && setting.name.trim() !== '' ? setting.name.trim() : undefined,
+      peakPower: isNaN(setting?.peakPower) === false && Number(setting.peakPower) > 0 ? Number(setting.peakPower) : undefined,
+      eveHistory: typeof setting?.eveHistory === 'boolean' ? setting.eveHistory : undefined,
+      gridStatus: ['none', ...GRID_STATUS_SENSORS].includes(setting?.gridStatus) === true ? setting.gridStatus : undefined,
+      profile: INVERTER_PROFILES?.[setting?.profile] !== undefined ? setting.profile : undefined,
+      power: INVERTER_MEASURES.includes(setting?.power) === true ? setting.power : undefined,
+    };
+  });
+
+  return parsed;
+}
+
+function getSolarPosition(date) {
+  // Equation of time in minutes and solar declination in radians for the day of the date, using the NOAA solar calculations
+  let dayStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  let gamma = ((2 * Math.PI) / 365) * Math.floor((dayStart - Date.UTC(date.getUTCFullYear(), 0, 1)) / 86400000);
+
+  return {
+    dayStart: dayStart,
+    equationOfTime:
+      229.18 *
+      (0.000075 +
+        0.001868 * Math.cos(gamma) -
+        0.032077 * Math.sin(gamma) -
+        0.014615 * Math.cos(2 * gamma) -
+        0.040849 * Math.sin(2 * gamma)),
+    declination:
+      0.006918 -
+      0.399912 * Math.cos(gamma) +
+      0.070257 * Math.sin(gamma) -
+      0.006758 * Math.cos(2 * gamma) +
+      0.000907 * Math.sin(2 * gamma) -
+      0.002697 * Math.cos(3 * gamma) +
+      0.00148 * Math.sin(3 * gamma),
+  };
+}
+
+function getSunTimes(date, latitude, longitude) {
+  // Calculate sunrise and sunset for the day of the date at the given location, using the NOAA solar calculations
+  // Returns times in milliseconds since epoch. If the sun doesn't rise or set that day, we'll return midday for both or the whole day
+  let { dayStart, equationOfTime, declination } = getSolarPosition(date);
+  let latitudeRad = (latitude * Math.PI) / 180;
+  let cosHourAngle =
+    Math.cos((90.833 * Math.PI) / 180) / (Math.cos(latitudeRad) * Math.cos(declination)) - Math.tan(latitudeRad) * Math.tan(declination);
+  let noon = dayStart + (720 - 4 * longitude - equationOfTime) * 60000;
+
+  if (cosHourAngle > 1) {
+    // Sun doesn't rise today
+    return { sunrise: noon, sunset: noon };
+  }
+
+  if (cosHourAngle < -1) {
+    // Sun doesn't set today
+    return { sunrise: noon - 43200000, sunset: noon + 43200000 };
+  }
+
+  let hourAngle = (Math.acos(cosHourAngle) * 180) / Math.PI;
+
+  return {
+    sunrise: noon - 4 * hourAngle * 60000,
+    sunset: noon + 4 * hourAngle * 60000,
+  };
+}
+
+function getSunElevation(date, latitude, longitude) {
+  // Elevation of the sun in degrees above the horizon at the date's time and the given location, using the NOAA solar calculations
+  let { dayStart, equationOfTime, declination } = getSolarPosition(date);
+  let latitudeRad = (latitude * Math.PI) / 180;
+  let solarTime = (date.getTime() - dayStart) / 60000 + equationOfTime + 4 * longitude; // Minutes
+  let hourAngle = ((solarTime / 4 - 180) * Math.PI) / 180;
+  let cosZenith = Math.sin(latitudeRad) * Math.sin(declination) + Math.cos(latitudeRad) * Math.cos(declination) * Math.cos(hourAngle);
+
+  return 90 - (Math.acos(Math.max(-1, Math.min(1, cosZenith))) * 180) / Math.PI;
+}
+
+function getCoordinates(latitude, longitude) {
+  // Latitude and longitude as numbers, or undefined if either isn't given or is out of range
+  if ([latitude, longitude].some((value) => value === undefined || value === null || value === '') === true) {
+    return undefined;
+  }
+
+  latitude = Number(latitude);
+  longitude = Number(longitude);
+  if (isNaN(latitude) === true || isNaN(longitude) === true || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return undefined;
+  }
+
+  return { latitude: latitude, longitude: longitude };
+}
+
+function getClearSkyPower(elevation, peakPower) {
+  // Expected solar production in watts for clear sky, using the Haurwitz model of irradiance on a horizontal surface against
+  // the 1000W/m2 panels are rated at. We don't know the panels' tilt or orientation, which calibration allows for
+  if (elevation <= 0) {
+    return 0;
+  }
+
+  let sinElevation = Math.sin((elevation * Math.PI) / 180);
+
+  return (peakPower * 1098 * sinElevation * Math.exp(-0.057 / sinElevation)) / 1000;
+}
+
+function mapV2Site(site) {
+  // Map a site from v2 of the API into the v1 site format. v2 sites are:
+  // { siteId, name, status, peakPower (kW), installationDate, location: { country, city, address, timeZone, latitude, longitude } }
+  return {
+    id: site?.siteId,
+    name: typeof site?.name === 'string' ? site.name : '',
+    status: site?.status,
+    peakPower: Number(site?.peakPower) || 0,
+    installationDate: site?.installationDate,
+    location: {
+      country: site?.location?.country,
+      city: typeof site?.location?.city === 'string' ? site.location.city : '',
+      address: site?.location?.address,
+      timeZone: site?.location?.timeZone,
+      latitude: site?.location?.latitude,
+      longitude: site?.location?.longitude,
+    },
+  };
+}
+
+function mapV2Inventory(data) {
+  // Map the devices for a site from v2 of the API into the v1 inventory format. v2 devices are:
+  // { devices: [{ serialNumber, name, model, manufacturer, type (INVERTER, BATTERY or METER), firmwareVersion,
+  //   nameplateCapacity (Wh, batteries only), meterType (meters only) }] }
+  let inventory = { inverters: [], batteries: [], meters: [] };
+
+  Array.isArray(data?.devices) === true &&
+    data.devices.forEach((device) => {
+      if (typeof device?.serialNumber !== 'string' || device.serialNumber === '') {
+        return;
+      }
+
+      let type = String(device?.type).toUpperCase();
+      let details = {
+        SN: device.serialNumber,
+        name: typeof device?.name === 'string' ? device.name : '',
+        model: typeof device?.model === 'string' ? device.model : '',
+        manufacturer: typeof device?.manufacturer === 'string' ? device.manufacturer : 'SolarEdge',
+      };
+
+      if (type === 'INVERTER') {
+        inventory.inverters.push({
+          ...details,
+          cpuVersion: typeof device?.firmwareVersion === 'string' ? device.firmwareVersion : '0.0.0',
+        });
+      }
+      if (type === 'BATTERY') {
+        inventory.batteries.push({ ...details, firmwareVersion: device?.firmwareVersion, nameplateCapacity: device?.nameplateCapacity });
+      }
+      if (type === 'METER') {
+        inventory.meters.push({ ...details, type: device?.meterType });
+      }
+    });
+
+  return inventory;
+}
+
+function mapV2PowerFlow(flow) {
+  // Map the site powerflow from v2 of the API into the v1 siteCurrentPowerFlow format. v2 powerflows are:
+  // { unit, pv: { status, power }, load: { status, power }, grid: { status, power, backup },
+  //   storage: { status, power, stateOfCharge, critical } }
+  // v2 doesn't give the connections between elements, so we work these out from the sign of the power
+  // Grid power is positive when importing and negative when exporting, with storage power positive when charging
+  let power = (element) => Number(element?.power) || 0;
+  let powerflow = {
+    unit: typeof flow?.unit === 'string' ? flow.unit : 'W',
+    connections: [],
+  };
+
+  if (typeof flow?.pv === 'object' && flow.pv !== null) {
+    powerflow.PV = { status: typeof flow.pv?.status === 'string' ? flow.pv.status : 'Idle', currentPower: Math.abs(power(flow.pv)) };
+    if (power(flow.pv) > 0) {
+      powerflow.connections.push({ from: 'PV', to: 'LOAD' });
+    }
+  }
+
+  if (typeof flow?.load === 'object' && flow.load !== null) {
+    powerflow.LOAD = {
+      status: typeof flow.load?.status === 'string' ? flow.load.status : 'Idle',
+      currentPower: Math.abs(power(flow.load)),
+    };
+  }
+
+  if (typeof flow?.grid === 'object' && flow.grid !== null) {
+    powerflow.GRID = {
+      status: typeof flow.grid?.status === 'string' ? flow.grid.status : 'Idle',
+      currentPower: Math.abs(power(flow.grid)),
+      ...(typeof flow.grid?.backup === 'boolean' ? { backup: flow.grid.backup } : {}),
+    };
+    if (power(flow.grid) > 0) {
+      powerflow.connections.push({ from: 'GRID', to: 'LOAD' });
+    }
+    if (power(flow.grid) < 0) {
+      powerflow.connections.push({ from: 'LOAD', to: 'GRID' });
+    }
+  }
+
+  if (typeof flow?.storage === 'object' && flow.storage !== null) {
+    powerflow.STORAGE = {
+      status: power(flow.storage) > 0 ? 'Charging' : power(flow.storage) < 0 ? 'Discharging' : 'Idle',
+      currentPower: Math.abs(power(flow.storage)),
+      chargeLevel: Number(flow.storage?.stateOfCharge) || 0,
+      critical: flow.storage?.critical === true,
+    };
+    if (power(flow.storage) > 0) {
+      powerflow.connections.push({ from: 'LOAD', to: 'STORAGE' });
+    }
+    if (power(flow.storage) < 0) {
+      powerflow.connections.push({ from: 'STORAGE', to: 'LOAD' });
+    }
+  }
+
+  return powerflow;
+}
+
+function mapModbusData(data, connection) {
+  // Map data read from an inverter via Modbus TCP into the same formats as the v1 API
+  // Power is in W, with the site identified by the inverter's serial number unless configured otherwise
+  let inverter = data.inverter;
+  let gridMeter = data.meters.find((meter) => /EXPORT|IMPORT/i.test(meter.option) === true);
+  let consumptionMeter = data.meters.find((meter) => /CONSUMPTION/i.test(meter.option) === true);
+  let batteryPower = data.batteries.reduce((total, battery) => total + battery.power, 0); // Positive is charging
+  let pvPower = Math.max(0, data.batteries.length !== 0 ? inverter.dcPower + batteryPower : inverter.power);
+  let gridPower = gridMeter !== undefined ? gridMeter.power : 0; // Positive is exporting
+  let loadPower =
+    consumptionMeter !== undefined
+      ? Math.abs(consumptionMeter.power)
+      : gridMeter !== undefined
+        ? Math.max(0, inverter.power - gridPower)
+        : 0;
+  let name = connection.name !== '' ? connection.name : inverter.model;
+
+  let powerflow = {
+    unit: 'W',
+    connections: [],
+    PV: { status: pvPower > 0 ? 'Active' : 'Idle', currentPower: pvPower },
+  };
+
+  if (pvPower > 0) {
+    powerflow.connections.push({ from: 'PV', to: 'LOAD' });
+  }
+
+  if (gridMeter !== undefined) {
+    powerflow.GRID = { status: gridPower !== 0 ? 'Active' : 'Idle', currentPower: Math.abs(gridPower) };
+    if (gridPower > 0) {
+      powerflow.connections.push({ from: 'LOAD', to: 'GRID' });
+    }
+    if (gridPower < 0) {
+      powerflow.connections.push({ from: 'GRID', to: 'LOAD' });
+    }
+  }
+
+  if (gridMeter !== undefined || consumptionMeter !== undefined) {
+    powerflow.LOAD = { status: loadPower > 0 ? 'Active' : 'Idle', currentPower: loadPower };
+  }
+
+  if (data.batteries.length !== 0) {
+    powerflow.STORAGE = {
+      status: batteryPower > 0 ? 'Charging' : batteryPower < 0 ? 'Discharging' : 'Idle',
+      currentPower: Math.abs(batteryPower),
+      chargeLevel: data.batteries.reduce((total, battery) => total + battery.chargeLevel, 0) / data.batteries.length,
+      critical: false,
+    };
+    if (batteryPower > 0) {
+      powerflow.connections.push({ from: 'LOAD', to: 'STORAGE' });
+    }
+    if (batteryPower < 0) {
+      powerflow.connections.push({ from: 'STORAGE', to: 'LOAD' });
+    }
+  }
+
+  let telemetry = {
+    date: new Date().toISOString(),
+    totalActivePower: inverter.power,
+    totalEnergy: inverter.energy,
+    temperature: inverter.temperature,
+    inverterMode: inverter.status,
+    operationMode: 0,
+    vendorStatus: inverter.vendorStatus,
+  };
+  ['L1Data', 'L2Data', 'L3Data'].slice(0, inverter.phases).forEach((phase, index) => {
+    telemetry[phase] = {
+      acCurrent: inverter.phases === 1 ? inverter.current : inverter.phaseCurrent[index],
+      acVoltage: inverter.phaseVoltage[index],
+      acFrequency: inverter.frequency,
+    };
+  });
+
+  let meters = {};
+  if (gridMeter !== undefined) {
+    meters.FEEDIN = gridMeter.exported;
+    meters.PURCHASED = gridMeter.imported;
+  }
+  if (consumptionMeter !== undefined) {
+    meters.CONSUMPTION = consumptionMeter.imported;
+  }
+
+  return {
+    site: {
+      id: connection.siteId ?? inverter.serialNumber,
+      name: name,
+      peakPower: connection.peakPower, // kW
+      installationDate: undefined,
+      location: { city: '' },
+    },
+    inventory: {
+      inverters: [
+        { SN: inverter.serialNumber, name: name, model: inverter.model, manufacturer: inverter.manufacturer, cpuVersion: inverter.version },
+      ],
+      batteries: data.batteries.map((battery) => ({
+        SN: battery.serialNumber,
+        name: battery.model,
+        model: battery.model,
+        manufacturer: battery.manufacturer,
+        firmwareVersion: battery.version,
+        nameplateCapacity: battery.ratedEnergy,
+      })),
+      meters: data.meters.map((meter) => ({
+        SN: meter.serialNumber,
+        name: meter.model,
+        model: meter.model,
+        manufacturer: meter.manufacturer,
+        type: meter.option,
+      })),
+    },
+    powerflow: powerflow,
+    storage: Object.fromEntries(
+      data.batteries.map((battery) => [
+        battery.serialNumber.toUpperCase(),
+        {
+          nameplate: battery.ratedEnergy,
+          power: battery.power,
+          batteryPercentageState: battery.chargeLevel,
+          batteryState: battery.status === 'FAULT' ? 4 : 3, // Map to the v1 battery states, 4 = Fault
+          internalTemp: battery.temperature,
+        },
+      ]),
+    ),
+    equipment: { [inverter.serialNumber.toUpperCase()]: telemetry },
+    meters: meters,
+  };
+}
+
+function redactSecrets(text) {
+  // Remove any API or Account Key from text, such as a request URL or headers, so it doesn't appear in errors or logs
+  // v1 of the API uses the api_key query parameter, with v2 using the X-API-Key and X-Account-Key headers
+  return String(text)
+    .replace(/(api_key=)[^&\s]+/gi, '$1REDACTED')
+    .replace(/(x-(?:api|account)-key["']?\s*[:=]\s*["']?)[^"'&,;}\s]+/gi, '$1REDACTED');
+}
+
+function classifyError(error) {
+  // Classify a failed request as being an authorisation (auth), rate limiting (quota), timeout, server or response (parse) error
+  // Network errors, ie: API unreachable, are treated as server errors
+  if (error?.code === 401 || error?.code === 403) {
+    return 'auth';
+  }
+
+  if (error?.code === 429) {
+    return 'quota';
+  }
+
+  if (
+    error?.name === 'TimeoutError' ||
+    error?.name === 'AbortError' ||
+    String(error?.cause).toUpperCase().includes('TIMEOUT') === true ||
+    String(error?.cause?.code).toUpperCase().includes('TIMEOUT') === true
+  ) {
+    return 'timeout';
+  }
+
+  if (error instanceof SyntaxError) {
+    return 'parse';
+  }
+
+  return 'server';
+}
+
 async function fetchWrapper(method, url, options, data) {
   if ((method !== 'get' && method !== 'post') || typeof url !== 'string' || url === '' || typeof options !== 'object') {
     return;
@@ -485,12 +3935,14 @@ async function fetchWrapper(method, url, options, data) {
       return fetchWrapper(method, url, options, data);
     }
 
-    error.message = `Fetch failed for ${method.toUpperCase()} ${url} after ${options._retryCount + 1} attempt(s): ${error.message}`;
+    let attempts = options._retryCount + 1;
+    error.message = `Fetch failed for ${method.toUpperCase()} ${redactSecrets(url)} after ${attempts} attempt(s): ${error.message}`;
     throw error;
   }
 
   if (response?.ok === false) {
-    if (options.retry > 1) {
+    // Only retry on server errors. Anything else, including being rate limited, won't be fixed by retrying straight away
+    if (options.retry > 1 && response.status >= 500) {
       options.retry--;
       options._retryCount++;
 
@@ -500,8 +3952,21 @@ async function fetchWrapper(method, url, options, data) {
       return fetchWrapper(method, url, options, data);
     }
 
-    let error = new Error(`HTTP ${response.status} on ${method.toUpperCase()} ${url}: ${response.statusText || 'Unknown error'}`);
+    let error = new Error(
+      `HTTP ${response.status} on ${method.toUpperCase()} ${redactSecrets(url)}: ${response.statusText || 'Unknown error'}`,
+    );
     error.code = response.status;
+    if (response.status === 429) {
+      // Rate limited, so pass back how long we've been asked to wait before trying again in seconds
+      // Retry-After can either be a number of seconds or a date
+      let retryAfter = response.headers?.get?.('retry-after');
+      error.retryAfter =
+        typeof retryAfter === 'string' && retryAfter.trim() !== ''
+          ? isNaN(retryAfter) === false
+            ? Number(retryAfter)
+            : Math.max(0, (Date.parse(retryAfter) - Date.now()) / 1000) || undefined
+          : undefined;
+    }
     throw error;
   }
 
@@ -0,0 +1,219 @@
+// Local HTTP server exposing the plugin's processed SolarEdge data
+//
+// /metrics = Prometheus text exposition format
+// /status = JSON
+//
+// Status data is obtained from the platform on each request, so no extra requests are made to SolarEdge
+//
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import http from 'node:http';
+import { URL } from 'node:url';
+
+// Define constants
+const DEFAULT_HOST = '127.0.0.1'; // Local machine only. Other machines need the bind address set, such as to 0.0.0.0
+const DEFAULT_PORT = 9464;
+
+export default class MetricsServer {
+  static DEFAULT_HOST = DEFAULT_HOST;
+  static DEFAULT_PORT = DEFAULT_PORT;
+
+  host = DEFAULT_HOST;
+  port = DEFAULT_PORT;
+  log = undefined;
+
+  // Internal data only for this class
+  #server = undefined; // HTTP server
+  #getStatus = undefined; // Function returning the current status object
+
+  constructor(host, port, getStatus, log) {
+    this.host = typeof host === 'string' && host !== '' ? host : DEFAULT_HOST;
+    this.port = isNaN(port) === false && Number(port) > 0 ? Number(port) : DEFAULT_PORT;
+    this.#getStatus = getStatus;
+    this.log = log;
+  }
+
+  start() {
+    if (this.#server !== undefined) {
+      return;
+    }
+
+    this.#server = http.createServer((request, response) => this.#handleRequest(request, response));
+    this.#server.on('error', (error) => {
+      this?.log?.warn?.('Metrics server on "%s:%s" had an error and has stopped', this.host, this.port);
+      this?.log?.debug?.('Error was "%s"', String(error?.message));
+      this.stop();
+    });
+    this.#server.listen(this.port, this.host, () => {
+      this?.log?.info?.(
+        'Metrics available at "http://%s:%s/metrics" and status at "http://%s:%s/status"',
+        this.host,
+        this.port,
+        this.host,
+        this.port,
+      );
+    });
+  }
+
+  stop() {
+    this.#server?.close?.();
+    this.#server = undefined;
+  }
+
+  #handleRequest(request, response) {
+    let url = new URL(request.url, 'http://localhost');
+
+    if (request.method !== 'GET') {
+      response.writeHead(405, { Allow: 'GET' });
+      response.end();
+      return;
+    }
+
+    try {
+      if (url.pathname === '/metrics') {
+        response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        response.end(formatMetrics(this.#getStatus()));
+        return;
+      }
+
+      if (url.pathname === '/status') {
+        response.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+        response.end(JSON.stringify(this.#getStatus(), null, 2));
+        return;
+      }
+
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end('Not found');
+    } catch (error) {
+      this?.log?.debug?.('Metrics server failed to process request for "%s"', url.pathname);
+      this?.log?.debug?.('Error was "%s"', String(error?.message));
+      response.writeHead(500);
+      response.end();
+    }
+  }
+}
+
+// Metrics we expose, with the status values they come from
+const CONNECTION_METRICS = [
+  [
+    'solaredge_connection_authorised',
+    'gauge',
+    'Connection is authorised (1) or not (0)',
+    (connection) => Number(connection.authorised === true),
+  ],
+  [
+    'solaredge_connection_last_poll_timestamp_seconds',
+    'gauge',
+    'Time of the last successful poll',
+    (connection) => connection.lastPoll / 1000,
+  ],
+  [
+    'solaredge_connection_healthy',
+    'gauge',
+    'Connection requests are succeeding (1) or failing (0)',
+    (connection) => (connection?.health?.state !== undefined ? Number(connection.health.state === 'ok') : undefined),
+  ],
+  [
+    'solaredge_connection_consecutive_failures',
+    'gauge',
+    'Consecutive failed requests for the connection',
+    (connection) => connection?.health?.failures,
+  ],
+];
+const REQUEST_METRICS = [['solaredge_api_requests_today', 'gauge', 'SolarEdge Monitoring API requests made today', (usage) => usage.count]];
+const SITE_METRICS = [
+  ['solaredge_site_pv_power_watts', 'gauge', 'Solar production', (site) => site.pvPower],
+  ['solaredge_site_grid_import_power_watts', 'gauge', 'Power imported from the grid', (site) => site.importPower],
+  ['solaredge_site_grid_export_power_watts', 'gauge', 'Power exported to the grid', (site) => site.exportPower],
+  ['solaredge_site_load_power_watts', 'gauge', 'Household consumption', (site) => site.loadPower],
+  ['solaredge_site_storage_power_watts', 'gauge', 'Battery power, positive when charging', (site) => site.storagePower],
+  ['solaredge_site_peak_power_watts', 'gauge', 'Peak power of the solar system', (site) => site.peakPower],
+  [
+    'solaredge_site_grid_down',
+    'gauge',
+    'Grid is down (1) or not (0)',
+    (site) => (site.gridDown !== undefined ? Number(site.gridDown === true) : undefined),
+  ],
+  ['solaredge_site_expected_pv_power_watts', 'gauge', 'Expected solar production for clear sky', (site) => site.expectedPower],
+  [
+    'solaredge_site_underperforming',
+    'gauge',
+    'Solar production is below expected (1) or not (0)',
+    (site) => Number(site.underperforming === true),
+  ],
+  ['solaredge_site_last_update_timestamp_seconds', 'gauge', 'Time of the last data received for the site', (site) => site.time / 1000],
+];
+const INVERTER_METRICS = [
+  ['solaredge_inverter_power_watts', 'gauge', 'Inverter AC power', (inverter) => inverter.power],
+  ['solaredge_inverter_voltage_volts', 'gauge', 'Inverter AC voltage', (inverter) => inverter.voltage],
+  ['solaredge_inverter_current_amps', 'gauge', 'Inverter AC current', (inverter) => inverter.current],
+  ['solaredge_inverter_frequency_hertz', 'gauge', 'Inverter AC frequency', (inverter) => inverter.frequency],
+  ['solaredge_inverter_temperature_celsius', 'gauge', 'Inverter temperature', (inverter) => inverter.temperature],
+  ['solaredge_inverter_peak_power_watts', 'gauge', 'Peak power of the inverter', (inverter) => inverter.peakPower],
+  ['solaredge_inverter_energy_kilowatt_hours_total', 'counter', 'Lifetime energy produced', (inverter) => inverter.energy?.lifetime],
+  ['solaredge_inverter_generating', 'gauge', 'Inverter is generating (1) or not (0)', (inverter) => Number(inverter.generating === true)],
+  ['solaredge_inverter_fault', 'gauge', 'Inverter is reporting a fault (1) or not (0)', (inverter) => Number(inverter.status === 'FAULT')],
+];
+const BATTERY_METRICS = [
+  ['solaredge_battery_charge_percent', 'gauge', 'Battery state of charge', (battery) => battery.chargeLevel],
+  ['solaredge_battery_power_watts', 'gauge', 'Battery power, positive when charging', (battery) => battery.power],
+];
+
+function formatMetrics(status) {
+  // Format the status as Prometheus metrics. Values we don't have are left out
+  let lines = [];
+  let addMetrics = (metrics, items, labels) => {
+    metrics.forEach(([name, type, help, getValue]) => {
+      let values = items
+        .map((item) => [labels(item), getValue(item)])
+        .filter(([, value]) => value !== undefined && value !== null && isFinite(value) === true);
+      if (values.length === 0) {
+        return;
+      }
+
+      lines.push('# HELP ' + name + ' ' + help, '# TYPE ' + name + ' ' + type);
+      values.forEach(([label, value]) => lines.push(name + formatLabels(label) + ' ' + value));
+    });
+  };
+
+  let connections = Array.isArray(status?.connections) === true ? status.connections : [];
+  let sites = Array.isArray(status?.sites) === true ? status.sites : [];
+  let devices = Array.isArray(status?.devices) === true ? status.devices : [];
+
+  addMetrics(CONNECTION_METRICS, connections, (connection) => ({
+    connection: connection.id,
+    type: connection.type,
+    name: connection.name,
+  }));
+  addMetrics(
+    REQUEST_METRICS,
+    connections.flatMap((connection) =>
+      Object.entries(connection?.requests ?? {}).map(([site, usage]) => ({ connection: connection.id, site: site, count: usage?.count })),
+    ),
+    (usage) => ({ connection: usage.connection, site: usage.site }),
+  );
+  addMetrics(SITE_METRICS, sites, (site) => ({ site: site.id, name: site.name }));
+  addMetrics(
+    INVERTER_METRICS,
+    devices.filter((device) => device?.type === 'SolarInverter'),
+    (inverter) => ({ serial: inverter.serialNumber, site: inverter.siteid, name: inverter.description }),
+  );
+  addMetrics(
+    BATTERY_METRICS,
+    devices.filter((device) => device?.type === 'SolarBattery'),
+    (battery) => ({ serial: battery.serialNumber, site: battery.siteid, name: battery.description }),
+  );
+
+  return lines.join('\n') + '\n';
+}
+
+function formatLabels(labels) {
+  // Format labels, escaping their values as required by the Prometheus text format
+  let formatted = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => key + '="' + String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"') + '"');
+
+  return formatted.length !== 0 ? '{' + formatted.join(',') + '}' : '';
+}
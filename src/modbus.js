@@ -0,0 +1,321 @@
+// Modbus TCP client for SolarEdge inverters on the local network
+//
+// Reads the inverter and any attached meters using the SunSpec register map, along with attached batteries
+// using SolarEdge's own register map. Modbus TCP needs to be enabled on the inverter (default port 1502)
+//
+// reference for details:
+// SolarEdge SunSpec Implementation - Technical Note
+// SolarEdge Modbus Battery Register Map
+//
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import { Buffer } from 'node:buffer';
+import { setTimeout, clearTimeout } from 'node:timers';
+import net from 'node:net';
+
+// Define constants
+const SUNSPEC_BASE = 40000; // 'SunS' identifier, followed by the common block
+const INVERTER_BASE = 40069; // Inverter model (101 single phase, 102 split phase, 103 three phase)
+const METER_BASES = [40121, 40295, 40469]; // Common block for up to three meters
+const BATTERY_BASES = [0xe100, 0xe200]; // SolarEdge battery blocks for up to two batteries
+const MAX_TRANSACTION_ID = 0xffff;
+
+// Inverter status codes (I_Status) mapped to the inverter modes used by the SolarEdge Monitoring API
+const INVERTER_STATUS = {
+  1: 'OFF',
+  2: 'SLEEPING',
+  3: 'STARTING',
+  4: 'MPPT',
+  5: 'THROTTLED',
+  6: 'SHUTTING_DOWN',
+  7: 'FAULT',
+  8: 'STANDBY',
+};
+
+// Battery status codes
+const BATTERY_STATUS = {
+  0: 'OFF',
+  1: 'STANDBY',
+  2: 'INIT',
+  3: 'CHARGE',
+  4: 'DISCHARGE',
+  5: 'FAULT',
+  6: 'PRESERVE_CHARGE',
+  7: 'IDLE',
+  10: 'POWER_SAVING',
+};
+
+export default class SolarEdgeModbus {
+  static DEFAULT_PORT = 1502;
+  static DEFAULT_UNIT_ID = 1;
+
+  host = undefined;
+  port = SolarEdgeModbus.DEFAULT_PORT;
+  unitId = SolarEdgeModbus.DEFAULT_UNIT_ID;
+  timeout = 5000; // Timeout for connection and each request
+
+  // Internal data only for this class
+  #socket = undefined; // TCP socket to the inverter
+  #buffer = Buffer.alloc(0); // Received data yet to be processed
+  #transactionId = 0; // Modbus TCP transaction ID of last request
+  #pending = new Map(); // Outstanding requests, key'd by transaction ID
+
+  constructor(host, port, unitId, timeout) {
+    this.host = host;
+    this.port = isNaN(port) === false && Number(port) > 0 ? Number(port) : SolarEdgeModbus.DEFAULT_PORT;
+    this.unitId = isNaN(unitId) === false && Number(unitId) >= 0 ? Number(unitId) : SolarEdgeModbus.DEFAULT_UNIT_ID;
+    this.timeout = isNaN(timeout) === false && Number(timeout) > 0 ? Number(timeout) : this.timeout;
+  }
+
+  get connected() {
+    return this.#socket !== undefined && this.#socket.destroyed === false && this.#socket.connecting === false;
+  }
+
+  async connect() {
+    this.close();
+
+    await new Promise((resolve, reject) => {
+      let socket = net.createConnection({ host: this.host, port: this.port });
+      let timer = setTimeout(() => {
+        socket.destroy();
+        reject(new Error('Connection timeout to ' + this.host + ':' + this.port));
+      }, this.timeout);
+
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        this.#socket = socket;
+        resolve();
+      });
+
+      socket.once('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      socket.on('data', (data) => {
+        this.#buffer = Buffer.concat([this.#buffer, data]);
+        this.#processBuffer();
+      });
+
+      socket.on('close', () => {
+        // Fail any outstanding requests, as we'll never get a response for them now
+        this.#pending.forEach((request) => {
+          clearTimeout(request.timer);
+          request.reject(new Error('Connection closed to ' + this.host + ':' + this.port));
+        });
+        this.#pending.clear();
+        this.#buffer = Buffer.alloc(0);
+        if (this.#socket === socket) {
+          this.#socket = undefined;
+        }
+      });
+    });
+  }
+
+  close() {
+    if (this.#socket !== undefined) {
+      this.#socket.destroy();
+      this.#socket = undefined;
+    }
+  }
+
+  readRegisters(address, count) {
+    // Read holding registers (function code 0x03), returning the raw register data
+    if (this.connected === false) {
+      return Promise.reject(new Error('Not connected to ' + this.host + ':' + this.port));
+    }
+
+    this.#transactionId = this.#transactionId >= MAX_TRANSACTION_ID ? 1 : this.#transactionId + 1;
+    let transactionId = this.#transactionId;
+
+    let request = Buffer.alloc(12);
+    request.writeUInt16BE(transactionId, 0); // Transaction ID
+    request.writeUInt16BE(0, 2); // Protocol ID, always 0 for Modbus
+    request.writeUInt16BE(6, 4); // Length of remaining bytes
+    request.writeUInt8(this.unitId, 6); // Unit ID
+    request.writeUInt8(0x03, 7); // Function code
+    request.writeUInt16BE(address, 8); // Starting register
+    request.writeUInt16BE(count, 10); // Number of registers
+
+    return new Promise((resolve, reject) => {
+      let timer = setTimeout(() => {
+        this.#pending.delete(transactionId);
+        reject(new Error('Request timeout reading register ' + address + ' from ' + this.host + ':' + this.port));
+      }, this.timeout);
+
+      this.#pending.set(transactionId, { resolve, reject, timer, address });
+      this.#socket.write(request);
+    });
+  }
+
+  async read() {
+    // Read the inverter along with any attached meters and batteries
+    let common = await this.readRegisters(SUNSPEC_BASE, 69);
+    if (common.toString('ascii', 0, 4) !== 'SunS') {
+      throw new Error('SunSpec identifier not found on ' + this.host + ':' + this.port);
+    }
+
+    let data = {
+      inverter: {
+        ...decodeCommon(common, 2),
+        ...decodeInverter(await this.readRegisters(INVERTER_BASE, 40)),
+      },
+      meters: [],
+      batteries: [],
+    };
+
+    for (const base of METER_BASES) {
+      try {
+        let meterCommon = await this.readRegisters(base, 67);
+        let meter = await this.readRegisters(base + 67, 55);
+        let model = meter.readUInt16BE(0);
+        if (model >= 201 && model <= 204) {
+          data.meters.push({
+            ...decodeCommon(meterCommon, 0),
+            ...decodeMeter(meter),
+          });
+        }
+        // eslint-disable-next-line no-unused-vars
+      } catch (error) {
+        // Meter isn't present
+      }
+    }
+
+    for (const base of BATTERY_BASES) {
+      try {
+        let battery = decodeBattery(await this.readRegisters(base, 0x4c), await this.readRegisters(base + 0x6c, 0x1e));
+        if (battery.serialNumber !== '' && battery.ratedEnergy > 0) {
+          data.batteries.push(battery);
+        }
+        // eslint-disable-next-line no-unused-vars
+      } catch (error) {
+        // Battery isn't present
+      }
+    }
+
+    return data;
+  }
+
+  #processBuffer() {
+    // Process complete Modbus TCP responses in the receive buffer
+    while (this.#buffer.length >= 7 && this.#buffer.length >= 6 + this.#buffer.readUInt16BE(4)) {
+      let length = 6 + this.#buffer.readUInt16BE(4);
+      let response = this.#buffer.subarray(0, length);
+      this.#buffer = this.#buffer.subarray(length);
+
+      let transactionId = response.readUInt16BE(0);
+      let request = this.#pending.get(transactionId);
+      if (request === undefined) {
+        continue;
+      }
+
+      clearTimeout(request.timer);
+      this.#pending.delete(transactionId);
+
+      let functionCode = response.readUInt8(7);
+      if ((functionCode & 0x80) === 0x80) {
+        let error = new Error('Modbus exception ' + response.readUInt8(8) + ' reading register ' + request.address);
+        error.code = response.readUInt8(8);
+        request.reject(error);
+        continue;
+      }
+
+      request.resolve(response.subarray(9, 9 + response.readUInt8(8)));
+    }
+  }
+}
+
+// General helper functions which don't need to be part of an object class
+function decodeCommon(data, offset) {
+  // SunSpec common block, with offset being the register of the model ID
+  return {
+    manufacturer: decodeString(data, (offset + 2) * 2, 16),
+    model: decodeString(data, (offset + 18) * 2, 16),
+    option: decodeString(data, (offset + 34) * 2, 8),
+    version: decodeString(data, (offset + 42) * 2, 8),
+    serialNumber: decodeString(data, (offset + 50) * 2, 16),
+  };
+}
+
+function decodeInverter(data) {
+  // SunSpec inverter model 101/102/103, starting at 40069
+  let currentSF = data.readInt16BE(6 * 2);
+  let voltageSF = data.readInt16BE(13 * 2);
+  let frequencySF = data.readInt16BE(17 * 2);
+  let status = data.readUInt16BE(38 * 2);
+
+  return {
+    phases: data.readUInt16BE(0) === 103 ? 3 : data.readUInt16BE(0) === 102 ? 2 : 1,
+    current: scale(data.readUInt16BE(2 * 2), currentSF),
+    phaseCurrent: [3, 4, 5].map((register) => scale(data.readUInt16BE(register * 2), currentSF)),
+    phaseVoltage: [10, 11, 12].map((register) => scale(data.readUInt16BE(register * 2), voltageSF)),
+    power: scale(data.readInt16BE(14 * 2), data.readInt16BE(15 * 2)),
+    frequency: scale(data.readUInt16BE(16 * 2), frequencySF),
+    energy: scale(data.readUInt32BE(24 * 2), data.readInt16BE(26 * 2)), // Lifetime energy in Wh
+    dcPower: scale(data.readInt16BE(31 * 2), data.readInt16BE(32 * 2)),
+    temperature: scale(data.readInt16BE(34 * 2), data.readInt16BE(37 * 2)),
+    status: INVERTER_STATUS?.[status] ?? 'UNKNOWN',
+    vendorStatus: data.readUInt16BE(39 * 2), // SolarEdge vendor status code (I_Status_Vendor). Detail only, faults come from I_Status
+  };
+}
+
+function decodeMeter(data) {
+  // SunSpec meter model 201/202/203/204, following the meter's common block
+  // Positive power is exporting to the grid, negative power is importing from the grid
+  let energySF = data.readInt16BE(54 * 2);
+
+  return {
+    current: scale(data.readInt16BE(2 * 2), data.readInt16BE(6 * 2)),
+    voltage: scale(data.readInt16BE(7 * 2), data.readInt16BE(15 * 2)),
+    frequency: scale(data.readInt16BE(16 * 2), data.readInt16BE(17 * 2)),
+    power: scale(data.readInt16BE(18 * 2), data.readInt16BE(22 * 2)),
+    exported: scale(data.readUInt32BE(38 * 2), energySF), // Lifetime exported energy in Wh
+    imported: scale(data.readUInt32BE(46 * 2), energySF), // Lifetime imported energy in Wh
+  };
+}
+
+function decodeBattery(info, telemetry) {
+  // SolarEdge battery block. Values are little-endian word ordered
+  // Positive power is charging, negative power is discharging
+  return {
+    manufacturer: decodeString(info, 0, 16),
+    model: decodeString(info, 0x10 * 2, 16),
+    version: decodeString(info, 0x20 * 2, 16),
+    serialNumber: decodeString(info, 0x30 * 2, 16),
+    ratedEnergy: readFloatWordSwapped(info, 0x42 * 2), // Wh
+    temperature: readFloatWordSwapped(telemetry, 0),
+    power: readFloatWordSwapped(telemetry, (0x74 - 0x6c) * 2),
+    availableEnergy: readFloatWordSwapped(telemetry, (0x80 - 0x6c) * 2), // Wh
+    chargeLevel: readFloatWordSwapped(telemetry, (0x84 - 0x6c) * 2),
+    status: BATTERY_STATUS?.[readUInt32WordSwapped(telemetry, (0x86 - 0x6c) * 2)] ?? 'UNKNOWN',
+  };
+}
+
+function decodeString(data, offset, registers) {
+  return data
+    .toString('ascii', offset, offset + registers * 2)
+    .replace(/\0/g, '')
+    .trim();
+}
+
+function scale(value, scaleFactor) {
+  // Apply SunSpec scale factor. Unimplemented values are treated as zero
+  if (value === 0x8000 || value === -0x8000 || value === 0xffff || value === 0xffffffff || scaleFactor === -0x8000) {
+    return 0;
+  }
+
+  return Number((value * 10 ** scaleFactor).toFixed(Math.max(0, -scaleFactor)));
+}
+
+function readFloatWordSwapped(data, offset) {
+  let buffer = Buffer.from([data[offset + 2], data[offset + 3], data[offset], data[offset + 1]]);
+  let value = buffer.readFloatBE(0);
+
+  return isNaN(value) === false && isFinite(value) === true ? value : 0;
+}
+
+function readUInt32WordSwapped(data, offset) {
+  return data.readUInt16BE(offset + 2) * 0x10000 + data.readUInt16BE(offset);
+}
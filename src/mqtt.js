@@ -0,0 +1,256 @@
+// Minimal MQTT client for publishing to a broker
+//
+// Implements only what we need of MQTT v3.1.1 to publish, being connect with optional username/password and last will,
+// QoS 0 publishing with retain, and keep alive. Retained messages are re-published after reconnecting to the broker
+//
+// reference for details:
+// MQTT Version 3.1.1 - https://docs.oasis-open.org/mqtt/mqtt/v3.1.1/os/mqtt-v3.1.1-os.html
+//
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import { Buffer } from 'node:buffer';
+import { clearInterval, clearTimeout, setInterval, setTimeout } from 'node:timers';
+import net from 'node:net';
+import tls from 'node:tls';
+
+// Define constants
+const CONNECT = 0x10;
+const CONNACK = 0x20;
+const PUBLISH = 0x30;
+const PINGREQ = 0xc0;
+const PINGRESP = 0xd0;
+const DISCONNECT = 0xe0;
+const KEEP_ALIVE = 60; // Seconds
+const RECONNECT_DELAY = 5000; // Initial delay before reconnecting, doubling upto the maximum below
+const MAX_RECONNECT_DELAY = 60000;
+
+// CONNACK return codes
+const CONNACK_ERRORS = {
+  1: 'unacceptable protocol version',
+  2: 'identifier rejected',
+  3: 'server unavailable',
+  4: 'bad username or password',
+  5: 'not authorised',
+};
+
+export default class MQTTClient {
+  static DEFAULT_PORT = 1883;
+  static DEFAULT_TLS_PORT = 8883;
+
+  host = undefined;
+  port = MQTTClient.DEFAULT_PORT;
+  options = {}; // clientId, username, password, tls, will: { topic, payload, retain }
+  log = undefined;
+
+  // Internal data only for this class
+  #socket = undefined; // TCP or TLS socket to the broker
+  #buffer = Buffer.alloc(0); // Received data yet to be processed
+  #connected = false; // Broker has accepted our connection
+  #closing = false; // We're closing the connection, so don't reconnect
+  #pingTimer = undefined; // Timer for keep alive pings
+  #reconnectTimer = undefined; // Timer to reconnect after losing our connection
+  #reconnectDelay = RECONNECT_DELAY;
+  #retained = new Map(); // Last retained message for each topic, re-published after reconnecting
+
+  constructor(host, port, options, log) {
+    this.host = host;
+    this.options = typeof options === 'object' && options !== null ? options : {};
+    this.port =
+      isNaN(port) === false && Number(port) > 0
+        ? Number(port)
+        : this.options?.tls === true
+          ? MQTTClient.DEFAULT_TLS_PORT
+          : MQTTClient.DEFAULT_PORT;
+    this.log = log;
+  }
+
+  get connected() {
+    return this.#connected;
+  }
+
+  connect() {
+    this.#closing = false;
+    clearTimeout(this.#reconnectTimer);
+    this.#reconnectTimer = undefined;
+    this.#destroySocket();
+
+    let socket =
+      this.options?.tls === true
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host })
+        : net.createConnection({ host: this.host, port: this.port });
+    this.#socket = socket;
+
+    socket.on(this.options?.tls === true ? 'secureConnect' : 'connect', () => {
+      socket.write(this.#encodeConnect());
+    });
+    socket.on('data', (data) => {
+      this.#buffer = Buffer.concat([this.#buffer, data]);
+      this.#processBuffer();
+    });
+    socket.on('error', (error) => {
+      this?.log?.debug?.('MQTT connection to "%s:%s" had an error "%s"', this.host, this.port, String(error?.message));
+    });
+    socket.on('close', () => {
+      if (this.#socket !== socket) {
+        return;
+      }
+
+      if (this.#connected === true) {
+        this?.log?.warn?.('Lost connection to MQTT broker at "%s:%s"', this.host, this.port);
+      }
+      this.#destroySocket();
+      this.#scheduleReconnect();
+    });
+  }
+
+  close() {
+    this.#closing = true;
+    clearTimeout(this.#reconnectTimer);
+    this.#reconnectTimer = undefined;
+    if (this.#connected === true) {
+      this.#socket?.write?.(Buffer.from([DISCONNECT, 0]));
+    }
+    this.#socket?.end?.();
+    this.#destroySocket();
+  }
+
+  publish(topic, payload, retain = false) {
+    // Publish a message at QoS 0. Messages published while we're not connected are dropped, except for the last retained
+    // message for each topic which is published once we're connected
+    let message =
+      Buffer.isBuffer(payload) === true ? payload : Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload));
+    if (retain === true) {
+      this.#retained.set(topic, message);
+    }
+
+    if (this.#connected === true) {
+      this.#socket.write(encodePacket(PUBLISH | (retain === true ? 0x01 : 0x00), Buffer.concat([encodeString(topic), message])));
+    }
+  }
+
+  #encodeConnect() {
+    let flags = 0x02; // Clean session
+    let payload = [encodeString(typeof this.options?.clientId === 'string' ? this.options.clientId : '')];
+
+    if (typeof this.options?.will?.topic === 'string') {
+      flags |= 0x04 | (this.options.will?.retain === true ? 0x20 : 0x00);
+      payload.push(encodeString(this.options.will.topic), encodeString(String(this.options.will?.payload ?? '')));
+    }
+    if (typeof this.options?.username === 'string' && this.options.username !== '') {
+      flags |= 0x80;
+      payload.push(encodeString(this.options.username));
+      if (typeof this.options?.password === 'string' && this.options.password !== '') {
+        flags |= 0x40;
+        payload.push(encodeString(this.options.password));
+      }
+    }
+
+    let header = Buffer.concat([encodeString('MQTT'), Buffer.from([4, flags, KEEP_ALIVE >> 8, KEEP_ALIVE & 0xff])]);
+    return encodePacket(CONNECT, Buffer.concat([header, ...payload]));
+  }
+
+  #processBuffer() {
+    // Process complete packets received from the broker. We only need to handle CONNACK and PINGRESP
+    while (this.#buffer.length >= 2) {
+      let length = 0;
+      let multiplier = 1;
+      let offset = 1;
+      let complete = false;
+      while (offset < this.#buffer.length && offset <= 4) {
+        let byte = this.#buffer[offset++];
+        length += (byte & 0x7f) * multiplier;
+        multiplier *= 128;
+        if ((byte & 0x80) === 0) {
+          complete = true;
+          break;
+        }
+      }
+      if (complete === false || this.#buffer.length < offset + length) {
+        return;
+      }
+
+      let type = this.#buffer[0] & 0xf0;
+      let body = this.#buffer.subarray(offset, offset + length);
+      this.#buffer = this.#buffer.subarray(offset + length);
+
+      if (type === CONNACK) {
+        this.#processConnack(body);
+      }
+      if (type === PINGRESP) {
+        // Broker is still there
+      }
+    }
+  }
+
+  #processConnack(body) {
+    let returnCode = body[1];
+    if (returnCode !== 0) {
+      this?.log?.error?.(
+        'MQTT broker at "%s:%s" refused our connection (%s)',
+        this.host,
+        this.port,
+        CONNACK_ERRORS?.[returnCode] ?? 'error ' + returnCode,
+      );
+      this.#socket?.end?.();
+      return;
+    }
+
+    this.#connected = true;
+    this.#reconnectDelay = RECONNECT_DELAY;
+    this?.log?.success?.('Connected to MQTT broker at "%s:%s"', this.host, this.port);
+
+    clearInterval(this.#pingTimer);
+    this.#pingTimer = setInterval(() => this.#socket?.write?.(Buffer.from([PINGREQ, 0])), (KEEP_ALIVE * 1000) / 2);
+
+    this.#retained.forEach((message, topic) => {
+      this.#socket.write(encodePacket(PUBLISH | 0x01, Buffer.concat([encodeString(topic), message])));
+    });
+  }
+
+  #scheduleReconnect() {
+    if (this.#closing === true || this.#reconnectTimer !== undefined) {
+      return;
+    }
+
+    this.#reconnectTimer = setTimeout(() => {
+      this.#reconnectTimer = undefined;
+      this.connect();
+    }, this.#reconnectDelay);
+    this.#reconnectDelay = Math.min(this.#reconnectDelay * 2, MAX_RECONNECT_DELAY);
+  }
+
+  #destroySocket() {
+    clearInterval(this.#pingTimer);
+    this.#pingTimer = undefined;
+    this.#connected = false;
+    this.#buffer = Buffer.alloc(0);
+
+    let socket = this.#socket;
+    this.#socket = undefined;
+    socket?.destroy?.();
+  }
+}
+
+function encodeString(value) {
+  // UTF-8 string prefixed with its length
+  let data = Buffer.from(String(value), 'utf8');
+  let length = Buffer.alloc(2);
+  length.writeUInt16BE(data.length);
+
+  return Buffer.concat([length, data]);
+}
+
+function encodePacket(type, body) {
+  // Fixed header of packet type and remaining length, followed by the rest of the packet
+  let length = [];
+  let remaining = body.length;
+  do {
+    let byte = remaining % 128;
+    remaining = Math.floor(remaining / 128);
+    length.push(remaining > 0 ? byte | 0x80 : byte);
+  } while (remaining > 0);
+
+  return Buffer.concat([Buffer.from([type, ...length]), body]);
+}
@@ -0,0 +1,856 @@
+// Local simulator of the SolarEdge Monitoring API (v1 and v2)
+//
+// Serves every request the plugin makes for a simulated site, so the plugin can be developed and tested offline. This is
+// the site list, details, inventory, current powerflow, overview, energy and power details, meters, storage data,
+// environmental sensors and inverter equipment data. Responses come from fixture files if present, otherwise from a
+// synthetic day of solar production, household consumption and battery storage. Time can be sped up to run through a day
+//
+// v2 of the API is served under /v2, with the site list, site, devices and powerflow available
+//
+// Fixture files are named after the request path, ie: /site/1000000/currentPowerFlow.json = site_1000000_currentPowerFlow.json
+// and /v2/sites/1000000/power-flow = v2_sites_1000000_power-flow.json
+// A fixture containing an array is replayed, with each request getting the next response in turn
+//
+// Errors, rate limiting (HTTP 429) and timeouts can be injected into a percentage of requests
+//
+// Mark Hulskamp
+'use strict';
+
+// Define nodejs module requirements
+import { clearTimeout, setTimeout } from 'node:timers';
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { URL } from 'node:url';
+
+// Define constants
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 0; // Any free port
+const SITE_ID = 1000000;
+const INVERTER_SERIAL = '7E000000-00';
+const BATTERY_SERIAL = 'BAT00000-00';
+const GATEWAY = 'Gateway 1'; // Environmental sensors are connected to this
+const PEAK_POWER = 6.6; // kW
+const BATTERY_CAPACITY = 10; // kWh
+const BATTERY_POWER = 5000; // Most the battery will charge or discharge at in watts
+const BATTERY_RESERVE = 0.1; // Battery won't discharge below this state of charge
+const BATTERY_START = 0.3; // Battery state of charge at midnight each day
+const LIFETIME_DAYS = 1000; // Days of energy in lifetime totals before today
+const STEP = 1000 * 60 * 5; // Simulate in 5 minute steps, the same as inverter telemetry
+const QUARTER_HOUR = 1000 * 60 * 15;
+const MAXIMUM_PERIOD = 1000 * 60 * 60 * 24 * 31; // Longest period we'll provide data over, as the API limits most data to a month
+const TIMEOUT_DELAY = 1000 * 60 * 2; // How long we hold a request open when simulating a timeout
+const RETRY_AFTER = 60; // Seconds we ask to wait when simulating rate limiting
+const UNITS = { W: 1, kW: 1000, MW: 1000000 };
+const METERS = ['Production', 'Consumption', 'FeedIn', 'Purchased', 'SelfConsumption'];
+
+export default class SolarEdgeSimulator {
+  static SITE_ID = SITE_ID;
+
+  host = DEFAULT_HOST;
+  port = DEFAULT_PORT;
+  log = undefined;
+  fixtures = undefined; // Directory of fixture files, if any
+  speed = 1; // Simulated time passes this many times faster than real time
+  unit = 'kW'; // Unit for powerflow values
+  peakPower = PEAK_POWER;
+  battery = BATTERY_CAPACITY; // Battery capacity in kWh, with 0 being no battery
+  sensors = true; // Site has environmental sensors
+  errorRate = 0; // Percentage of requests to fail with a server error
+  rateLimitRate = 0; // Percentage of requests to fail with HTTP 429
+  timeoutRate = 0; // Percentage of requests to never respond to
+
+  // Internal data only for this class
+  #server = undefined; // HTTP server
+  #startTime = Date.now(); // Real time the simulator started, from which simulated time runs
+  #replay = {}; // Next response to replay from array fixtures, key'd by fixture file
+  #timers = new Set(); // Timers for requests we're simulating a timeout for
+  #dayTotals = undefined; // Energy totals for a whole synthetic day, used for lifetime totals
+
+  constructor(options, log) {
+    this.host = typeof options?.host === 'string' && options.host !== '' ? options.host : DEFAULT_HOST;
+    this.port = isNaN(options?.port) === false && Number(options.port) > 0 ? Number(options.port) : DEFAULT_PORT;
+    this.fixtures = typeof options?.fixtures === 'string' && options.fixtures.trim() !== '' ? options.fixtures.trim() : undefined;
+    this.speed = isNaN(options?.speed) === false && Number(options.speed) > 0 ? Number(options.speed) : 1;
+    this.unit = UNITS?.[options?.unit] !== undefined ? options.unit : 'kW';
+    this.peakPower = isNaN(options?.peakPower) === false && Number(options.peakPower) > 0 ? Number(options.peakPower) : PEAK_POWER;
+    this.battery = isNaN(options?.battery) === false && Number(options.battery) >= 0 ? Number(options.battery) : BATTERY_CAPACITY;
+    this.sensors = options?.sensors !== false;
+    this.errorRate = getRate(options?.errorRate);
+    this.rateLimitRate = getRate(options?.rateLimitRate);
+    this.timeoutRate = getRate(options?.timeoutRate);
+    this.log = log;
+  }
+
+  start() {
+    // Start the simulator, returning the base URL it's available at once listening
+    return new Promise((resolve, reject) => {
+      if (this.#server !== undefined) {
+        resolve('http://' + this.host + ':' + this.#server.address().port);
+        return;
+      }
+
+      this.#startTime = Date.now();
+      this.#server = http.createServer((request, response) => this.#handleRequest(request, response));
+      this.#server.once('error', (error) => {
+        this.#server = undefined;
+        reject(error);
+      });
+      this.#server.listen(this.port, this.host, () => {
+        let url = 'http://' + this.host + ':' + this.#server.address().port;
+        this?.log?.info?.(
+          'SolarEdge Monitoring API simulator available at "%s"%s',
+          url,
+          this.speed !== 1 ? ' running ' + this.speed + ' times faster than real time' : '',
+        );
+        resolve(url);
+      });
+    });
+  }
+
+  stop() {
+    this.#timers.forEach((timer) => clearTimeout(timer));
+    this.#timers.clear();
+    this.#server?.closeAllConnections?.();
+    this.#server?.close?.();
+    this.#server = undefined;
+  }
+
+  #handleRequest(request, response) {
+    let url = new URL(request.url, 'http://localhost');
+
+    // Inject any failures before we process the request
+    if (Math.random() * 100 < this.timeoutRate) {
+      this?.log?.debug?.('Simulator is not responding to "%s"', url.pathname);
+      let timer = setTimeout(() => {
+        this.#timers.delete(timer);
+        request.socket.destroy();
+      }, TIMEOUT_DELAY);
+      this.#timers.add(timer);
+      return;
+    }
+    if (Math.random() * 100 < this.rateLimitRate) {
+      this?.log?.debug?.('Simulator is rate limiting "%s"', url.pathname);
+      sendJSON(response, 429, { String: 'Too many requests' }, { 'Retry-After': String(RETRY_AFTER) });
+      return;
+    }
+    if (Math.random() * 100 < this.errorRate) {
+      this?.log?.debug?.('Simulator is failing "%s"', url.pathname);
+      sendJSON(response, 500, { String: 'Internal server error' });
+      return;
+    }
+
+    if (request.method !== 'GET') {
+      sendJSON(response, 405, { String: 'Method not allowed' });
+      return;
+    }
+    if (
+      (url.pathname.startsWith('/v2/') === true &&
+        ((request.headers?.['x-api-key'] ?? '') === '' || (request.headers?.['x-account-key'] ?? '') === '')) ||
+      (url.pathname.startsWith('/v2/') === false && (url.searchParams.get('api_key') ?? '') === '')
+    ) {
+      sendJSON(response, 403, { String: 'Invalid token' });
+      return;
+    }
+
+    try {
+      let fixture = this.#getFixture(url.pathname);
+      let data = fixture !== undefined ? fixture : this.#getSynthetic(url.pathname, url.searchParams);
+      if (data === undefined) {
+        sendJSON(response, 404, { String: 'Not found' });
+        return;
+      }
+
+      sendJSON(response, 200, data);
+    } catch (error) {
+      this?.log?.debug?.('Simulator failed to process request for "%s"', url.pathname);
+      this?.log?.debug?.('Error was "%s"', String(error?.message));
+      sendJSON(response, 500, { String: 'Internal server error' });
+    }
+  }
+
+  #getFixture(pathname) {
+    // Response from the fixture file for the request path, if we have one. Arrays are replayed one response at a time
+    if (this.fixtures === undefined) {
+      return undefined;
+    }
+
+    let file = path.join(
+      this.fixtures,
+      pathname
+        .replace(/^\/+/, '')
+        .replace(/\.json$/, '')
+        .replace(/\//g, '_') + '.json',
+    );
+    let data = undefined;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      return undefined;
+    }
+
+    if (Array.isArray(data) === true) {
+      if (data.length === 0) {
+        return undefined;
+      }
+
+      let index = (this.#replay?.[file] ?? 0) % data.length;
+      this.#replay[file] = index + 1;
+      data = data[index];
+    }
+
+    return data;
+  }
+
+  #getSynthetic(pathname, parameters) {
+    // Synthetic response for the request path, or undefined if we don't simulate it
+    let time = this.#getTime();
+    let site = this.#getSite();
+    let match = undefined;
+
+    if (pathname.startsWith('/v2/') === true) {
+      return this.#getSyntheticV2(pathname, time);
+    }
+
+    if (pathname === '/sites/list') {
+      return { sites: { count: 1, site: [site] } };
+    }
+
+    if ((match = /^\/site\/(\d+)\/([A-Za-z]+)(\.json)?$/.exec(pathname)) !== null) {
+      if (Number(match[1]) !== SITE_ID) {
+        return undefined;
+      }
+
+      if (match[2] === 'details') {
+        return { details: site };
+      }
+
+      if (match[2] === 'inventory') {
+        return this.#getInventory();
+      }
+
+      if (match[2] === 'currentPowerFlow') {
+        return this.#getPowerFlow(time);
+      }
+
+      if (match[2] === 'overview') {
+        let totals = this.#getTotals(time);
+        let lifetime = this.#getLifetime(time, totals);
+        return {
+          overview: {
+            lastUpdateTime: formatTime(this.#toReal(time)),
+            lifeTimeData: { energy: lifetime.Production },
+            lastYearData: { energy: totals.Production },
+            lastMonthData: { energy: totals.Production },
+            lastDayData: { energy: totals.Production },
+            currentPower: { power: this.#getFlows(time).pv },
+          },
+        };
+      }
+
+      if (match[2] === 'energyDetails') {
+        return this.#getEnergyDetails(time, parameters);
+      }
+
+      if (match[2] === 'powerDetails') {
+        return this.#getPowerDetails(time, parameters);
+      }
+
+      if (match[2] === 'meters') {
+        return this.#getMeters(time, parameters);
+      }
+
+      if (match[2] === 'storageData') {
+        return this.#getStorageData(time, parameters);
+      }
+
+      if (match[2] === 'sensors') {
+        return this.#getSensorData(time, parameters);
+      }
+
+      return undefined;
+    }
+
+    if ((match = /^\/equipment\/(\d+)\/sensors(\.json)?$/.exec(pathname)) !== null) {
+      if (Number(match[1]) !== SITE_ID) {
+        return undefined;
+      }
+
+      let sensors = this.sensors === true ? getSensorList() : [];
+      return {
+        SiteSensors: {
+          count: sensors.length !== 0 ? 1 : 0,
+          list: sensors.length !== 0 ? [{ connectedTo: GATEWAY, count: sensors.length, sensors: sensors }] : [],
+        },
+      };
+    }
+
+    if ((match = /^\/equipment\/(\d+)\/([^/]+)\/data(\.json)?$/.exec(pathname)) !== null) {
+      if (Number(match[1]) !== SITE_ID || match[2].toUpperCase() !== INVERTER_SERIAL) {
+        return undefined;
+      }
+
+      return this.#getEquipmentData(time, parameters);
+    }
+
+    return undefined;
+  }
+
+  #getSyntheticV2(pathname, time) {
+    // Synthetic v2 response for the request path, built from the same simulated site as v1
+    let site = this.#getSite();
+    let v2Site = {
+      siteId: site.id,
+      name: site.name,
+      status: site.status,
+      peakPower: site.peakPower,
+      installationDate: site.installationDate,
+      location: site.location,
+    };
+    let match = undefined;
+
+    if (pathname === '/v2/sites') {
+      return { sites: [v2Site] };
+    }
+
+    if ((match = /^\/v2\/sites\/(\d+)(\/devices|\/power-flow)?$/.exec(pathname)) === null || Number(match[1]) !== SITE_ID) {
+      return undefined;
+    }
+
+    if (match[2] === undefined) {
+      return v2Site;
+    }
+
+    if (match[2] === '/devices') {
+      let inventory = this.#getInventory().Inventory;
+      return {
+        devices: [
+          ...inventory.inverters.map((inverter) => ({
+            serialNumber: inverter.SN,
+            name: inverter.name,
+            model: inverter.model,
+            manufacturer: inverter.manufacturer,
+            type: 'INVERTER',
+            firmwareVersion: inverter.cpuVersion,
+          })),
+          ...inventory.batteries.map((battery) => ({
+            serialNumber: battery.SN,
+            name: battery.name,
+            model: battery.model,
+            manufacturer: battery.manufacturer,
+            type: 'BATTERY',
+            firmwareVersion: battery.firmwareVersion,
+            nameplateCapacity: battery.nameplateCapacity,
+          })),
+          ...inventory.meters.map((meter) => ({
+            serialNumber: meter.SN,
+            name: meter.name,
+            model: meter.model,
+            manufacturer: meter.manufacturer,
+            type: 'METER',
+            firmwareVersion: meter.firmwareVersion,
+            meterType: meter.type,
+          })),
+        ],
+      };
+    }
+
+    // Power is in watts, with grid positive when importing and storage positive when charging
+    let flows = this.#getFlows(time, true);
+    return {
+      unit: 'W',
+      pv: { status: flows.pv > 0 ? 'Active' : 'Idle', power: flows.pv },
+      load: { status: 'Active', power: flows.load },
+      grid: { status: 'Active', power: flows.grid, backup: false },
+      ...(this.battery > 0
+        ? {
+            storage: {
+              status: flows.storage > 0 ? 'Charging' : flows.storage < 0 ? 'Discharging' : 'Idle',
+              power: flows.storage,
+              stateOfCharge: Math.round(flows.level),
+              critical: false,
+            },
+          }
+        : {}),
+    };
+  }
+
+  #getInventory() {
+    return {
+      Inventory: {
+        inverters: [
+          {
+            name: 'Inverter 1',
+            manufacturer: 'SolarEdge',
+            model: 'SE' + Math.round(this.peakPower * 1000) + 'H',
+            communicationMethod: 'ETHERNET',
+            cpuVersion: '4.18.32',
+            SN: INVERTER_SERIAL,
+            connectedOptimizers: Math.round((this.peakPower * 1000) / 400),
+          },
+        ],
+        meters: ['Production', 'FeedIn', 'Consumption'].map((type, index) => ({
+          name: type + ' Meter',
+          manufacturer: 'SolarEdge',
+          model: 'SE-MTR-3Y-400V-A',
+          firmwareVersion: '1.0',
+          connectedSolaredgeDeviceSN: INVERTER_SERIAL,
+          type: type,
+          form: type === 'Production' ? 'virtual' : 'physical',
+          SN: '60000000' + index,
+        })),
+        sensors:
+          this.sensors === true
+            ? getSensorList().map((sensor, index) => ({
+                connectedSolaredgeDeviceSN: INVERTER_SERIAL,
+                id: 'SENSOR' + index,
+                connectedTo: GATEWAY,
+                category: sensor.type,
+                type: sensor.measurement,
+              }))
+            : [],
+        gateways: [],
+        batteries:
+          this.battery > 0
+            ? [
+                {
+                  name: 'Battery 1',
+                  manufacturer: 'SolarEdge',
+                  model: 'BAT-' + this.battery + 'K1P',
+                  firmwareVersion: '2.3.4',
+                  connectedInverterSn: INVERTER_SERIAL,
+                  nameplateCapacity: this.battery * 1000,
+                  SN: BATTERY_SERIAL,
+                },
+              ]
+            : [],
+      },
+    };
+  }
+
+  #getPowerFlow(time) {
+    let multiplier = UNITS[this.unit];
+    let flows = this.#getFlows(time, true);
+    let connections = [];
+    if (flows.pv > 0) {
+      connections.push({ from: 'PV', to: 'Load' });
+    }
+    if (flows.storage > 0) {
+      connections.push({ from: flows.pv > 0 ? 'PV' : 'GRID', to: 'Storage' });
+    }
+    if (flows.storage < 0) {
+      connections.push({ from: 'STORAGE', to: 'Load' });
+    }
+    if (flows.grid > 0) {
+      connections.push({ from: 'GRID', to: 'Load' });
+    }
+    if (flows.grid < 0) {
+      connections.push({ from: 'LOAD', to: 'Grid' });
+    }
+
+    return {
+      siteCurrentPowerFlow: {
+        updateRefreshRate: 3,
+        unit: this.unit,
+        connections: connections,
+        GRID: { status: 'Active', currentPower: convertPower(Math.abs(flows.grid), multiplier) },
+        LOAD: { status: 'Active', currentPower: convertPower(flows.load, multiplier) },
+        PV: { status: flows.pv > 0 ? 'Active' : 'Idle', currentPower: convertPower(flows.pv, multiplier) },
+        ...(this.battery > 0
+          ? {
+              STORAGE: {
+                status: flows.storage > 0 ? 'Charging' : flows.storage < 0 ? 'Discharging' : 'Idle',
+                currentPower: convertPower(Math.abs(flows.storage), multiplier),
+                chargeLevel: Math.round(flows.level),
+                critical: false,
+              },
+            }
+          : {}),
+      },
+    };
+  }
+
+  #getEnergyDetails(time, parameters) {
+    // Daily energy for each meter between the start and end times
+    let period = this.#getPeriod(parameters, 'startTime', 'endTime', time);
+    let meters = getMeterTypes(parameters);
+    let days = {};
+    let endDay = new Date(period.end).setHours(0, 0, 0, 0);
+    let realEndDay = new Date(this.#toReal(period.end)).setHours(0, 0, 0, 0);
+    this.#simulate(new Date(period.start).setHours(0, 0, 0, 0), period.end, (stepTime, flows, totals) => {
+      // Simulated days are dated counting back from the real day at the end of the period, so today matches the overview
+      // Days dated before the requested start are left out
+      let date = new Date(realEndDay);
+      date.setDate(date.getDate() - Math.round((endDay - new Date(stepTime).setHours(0, 0, 0, 0)) / 86400000));
+      if (date.getTime() >= new Date(parseTime(parameters?.get?.('startTime')) ?? 0).setHours(0, 0, 0, 0)) {
+        days[formatTime(date)] = { ...totals };
+      }
+    });
+
+    return {
+      energyDetails: {
+        timeUnit: 'DAY',
+        unit: 'Wh',
+        meters: meters.map((type) => ({
+          type: type,
+          values: Object.entries(days).map(([date, totals]) => ({ date: date, value: Math.round(totals[type]) })),
+        })),
+      },
+    };
+  }
+
+  #getPowerDetails(time, parameters) {
+    // Power for each meter every 15 minutes between the start and end times
+    let period = this.#getPeriod(parameters, 'startTime', 'endTime', time);
+    let meters = getMeterTypes(parameters).filter((type) => type !== 'SelfConsumption');
+    let values = Object.fromEntries(meters.map((type) => [type, []]));
+    this.#simulate(period.start, period.end, (stepTime, flows) => {
+      if (stepTime % QUARTER_HOUR !== 0) {
+        return;
+      }
+
+      let power = {
+        Production: flows.pv,
+        Consumption: flows.load,
+        FeedIn: Math.max(0, -flows.grid),
+        Purchased: Math.max(0, flows.grid),
+      };
+      meters.forEach((type) => values[type].push({ date: formatTime(this.#toReal(stepTime)), value: Math.round(power[type]) }));
+    });
+
+    return {
+      powerDetails: {
+        timeUnit: 'QUARTER_OF_AN_HOUR',
+        unit: 'W',
+        meters: meters.map((type) => ({ type: type, values: values[type] })),
+      },
+    };
+  }
+
+  #getMeters(time, parameters) {
+    // Lifetime energy readings from each meter every 15 minutes between the start and end times
+    let period = this.#getPeriod(parameters, 'startTime', 'endTime', time);
+    let meters = ['Production', 'FeedIn', 'Consumption', 'Purchased'];
+    let values = Object.fromEntries(meters.map((type) => [type, []]));
+    this.#simulate(period.start, period.end, (stepTime, flows, totals) => {
+      if (stepTime % QUARTER_HOUR !== 0) {
+        return;
+      }
+
+      let lifetime = this.#getLifetime(stepTime, totals);
+      meters.forEach((type) => values[type].push({ date: formatTime(this.#toReal(stepTime)), value: Math.round(lifetime[type]) }));
+    });
+
+    return {
+      meterEnergyDetails: {
+        timeUnit: 'QUARTER_OF_AN_HOUR',
+        unit: 'Wh',
+        meters: meters.map((type, index) => ({
+          meterSerialNumber: '60000000' + index,
+          connectedSolaredgeDeviceSN: INVERTER_SERIAL,
+          model: 'SE-MTR-3Y-400V-A',
+          meterType: type,
+          values: values[type],
+        })),
+      },
+    };
+  }
+
+  #getStorageData(time, parameters) {
+    // Battery telemetry every 5 minutes between the start and end times
+    let period = this.#getPeriod(parameters, 'startTime', 'endTime', time);
+    let telemetries = [];
+    if (this.battery > 0) {
+      this.#simulate(period.start, period.end, (stepTime, flows, totals) => {
+        let lifetime = this.#getLifetime(stepTime, totals);
+        telemetries.push({
+          timeStamp: formatTime(this.#toReal(stepTime)),
+          power: Math.round(flows.storage),
+          batteryState: 3, // Enabled
+          lifeTimeEnergyCharged: Math.round(lifetime.Charged),
+          lifeTimeEnergyDischarged: Math.round(lifetime.Discharged),
+          fullPackEnergyAvailable: this.battery * 1000,
+          internalTemp: Math.round((22 + Math.abs(flows.storage) / 500) * 10) / 10,
+          ACGridCharging: 0,
+          batteryPercentageState: Math.round(flows.level * 10) / 10,
+        });
+      });
+    }
+
+    return {
+      storageData: {
+        batteryCount: telemetries.length !== 0 ? 1 : 0,
+        batteries:
+          this.battery > 0
+            ? [
+                {
+                  nameplate: this.battery * 1000,
+                  serialNumber: BATTERY_SERIAL,
+                  modelNumber: 'BAT-' + this.battery + 'K1P',
+                  telemetryCount: telemetries.length,
+                  telemetries: telemetries,
+                },
+              ]
+            : [],
+      },
+    };
+  }
+
+  #getSensorData(time, parameters) {
+    // Environmental sensor readings every 5 minutes between the start and end dates
+    let period = this.#getPeriod(parameters, 'startDate', 'endDate', time);
+    let telemetries = [];
+    if (this.sensors === true) {
+      this.#simulate(period.start, period.end, (stepTime, flows) => {
+        let hours = getHours(stepTime);
+        let ambient = 17 + 6 * Math.sin((Math.PI * (hours - 9)) / 12);
+        telemetries.push({
+          date: formatTime(this.#toReal(stepTime)),
+          ambientTemperature: Math.round(ambient * 10) / 10,
+          moduleTemperature: Math.round((ambient + (flows.pv / (this.peakPower * 1000)) * 25) * 10) / 10,
+          globalHorizontalIrradiance: Math.round((flows.pv / (this.peakPower * 1000 * 0.85)) * 1000),
+          windSpeed: Math.round((2.5 + 1.5 * Math.sin(stepTime / 3600000)) * 10) / 10,
+        });
+      });
+    }
+
+    return {
+      siteSensors: {
+        data: telemetries.length !== 0 ? [{ connectedTo: GATEWAY, count: telemetries.length, telemetries: telemetries }] : [],
+      },
+    };
+  }
+
+  #getEquipmentData(time, parameters) {
+    // Inverter telemetry every 5 minutes between the start and end times
+    let period = this.#getPeriod(parameters, 'startTime', 'endTime', time);
+    let telemetries = [];
+    this.#simulate(period.start, period.end, (stepTime, flows, totals) => {
+      let voltage = 240 + Math.sin(stepTime / 60000) * 2;
+      telemetries.push({
+        date: formatTime(this.#toReal(stepTime)),
+        totalActivePower: flows.pv,
+        dcVoltage: flows.pv > 0 ? 380 : 0,
+        powerLimit: 100,
+        totalEnergy: Math.round(this.#getLifetime(stepTime, totals).Production),
+        temperature: Math.round((25 + (flows.pv / (this.peakPower * 1000)) * 20) * 10) / 10,
+        inverterMode: flows.pv > 0 ? 'MPPT' : 'SLEEPING',
+        operationMode: 0,
+        L1Data: {
+          acCurrent: Math.round((flows.pv / voltage) * 100) / 100,
+          acVoltage: Math.round(voltage * 10) / 10,
+          acFrequency: 50,
+          activePower: flows.pv,
+        },
+      });
+    });
+
+    return { data: { count: telemetries.length, telemetries: telemetries } };
+  }
+
+  #simulate(startTime, endTime, callback) {
+    // Step through the synthetic day(s) from local midnight before the start time upto the end time, tracking the battery's
+    // state of charge and the energy totals since midnight. callback(time, flows, totals) is called for each step from the start
+    let capacity = this.battery * 1000;
+    let time = Math.ceil(new Date(startTime).setHours(0, 0, 0, 0) / STEP) * STEP;
+    let day = new Date(time).getDate();
+    let charge = capacity * BATTERY_START;
+    let totals = newTotals();
+    let state = { flows: undefined, totals: totals, charge: charge };
+
+    for (; time <= endTime; time += STEP) {
+      if (new Date(time).getDate() !== day) {
+        day = new Date(time).getDate();
+        charge = capacity * BATTERY_START;
+        totals = newTotals();
+      }
+
+      let flows = getFlows(time, this.peakPower * 1000, capacity, charge);
+      let hours = STEP / 3600000;
+      totals.Production += flows.pv * hours;
+      totals.Consumption += flows.load * hours;
+      totals.FeedIn += Math.max(0, -flows.grid) * hours;
+      totals.Purchased += Math.max(0, flows.grid) * hours;
+      totals.SelfConsumption += Math.max(0, flows.pv + Math.min(0, flows.grid)) * hours;
+      totals.Charged += Math.max(0, flows.storage) * hours;
+      totals.Discharged += Math.max(0, -flows.storage) * hours;
+      charge += flows.storage * hours;
+
+      if (time >= startTime) {
+        callback?.(time, flows, totals);
+      }
+      state = { flows: flows, totals: totals, charge: charge };
+    }
+
+    return state;
+  }
+
+  #getFlows(time, variation = false) {
+    // Power flows at the simulated time, with a little variation in solar production between readings if wanted
+    let state = this.#simulate(time, time - STEP);
+    return getFlows(time, this.peakPower * 1000, this.battery * 1000, state.charge, variation);
+  }
+
+  #getTotals(time) {
+    // Energy totals since local midnight upto the simulated time
+    return this.#simulate(time, time).totals;
+  }
+
+  #getLifetime(time, totals) {
+    // Lifetime energy totals, being a number of whole synthetic days plus today's totals so they only ever increase
+    if (this.#dayTotals === undefined) {
+      let midnight = new Date(2026, 0, 1).getTime();
+      this.#dayTotals = this.#simulate(midnight, midnight + 86400000 - STEP).totals;
+    }
+
+    let days =
+      LIFETIME_DAYS + Math.round((new Date(time).setHours(0, 0, 0, 0) - new Date(this.#startTime).setHours(0, 0, 0, 0)) / 86400000);
+    return Object.fromEntries(Object.entries(this.#dayTotals).map(([type, energy]) => [type, energy * days + (totals?.[type] ?? 0)]));
+  }
+
+  #getTime() {
+    // Simulated time, which starts at the real time and runs faster if sped up
+    return this.#toSimulated(Date.now());
+  }
+
+  #toSimulated(time) {
+    // Real time into simulated time
+    return this.#startTime + (time - this.#startTime) * this.speed;
+  }
+
+  #toReal(time) {
+    // Simulated time into real time, which is how times are given in responses
+    return this.#startTime + (time - this.#startTime) / this.speed;
+  }
+
+  #getPeriod(parameters, startKey, endKey, time) {
+    // Period requested by the start and end time parameters, limited to the simulated time and a month
+    // Requests are in real time, so are mapped onto simulated time the same way as the powerflow
+    // If not given, we'll use the last 15 minutes
+    let end = Math.min(this.#toSimulated(parseTime(parameters?.get?.(endKey)) ?? Date.now()), time);
+    let start = parseTime(parameters?.get?.(startKey));
+    start = Math.max(start !== undefined ? this.#toSimulated(start) : end - QUARTER_HOUR * this.speed, end - MAXIMUM_PERIOD);
+
+    return { start: start, end: end };
+  }
+
+  #getSite() {
+    return {
+      id: SITE_ID,
+      name: 'Simulated Site',
+      accountId: 1,
+      status: 'Active',
+      peakPower: this.peakPower,
+      currency: 'AUD',
+      installationDate: '2024-01-01',
+      type: 'Optimizers & Inverters',
+      location: {
+        country: 'Australia',
+        city: 'Simulator',
+        address: '',
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      },
+    };
+  }
+}
+
+function getRate(rate) {
+  // Percentage between 0 and 100
+  return isNaN(rate) === false ? Math.max(0, Math.min(100, Number(rate))) : 0;
+}
+
+function getHours(time) {
+  // Hours since local midnight
+  let date = new Date(time);
+  return date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+}
+
+function getFlows(time, peakPower, capacity, charge, variation = false) {
+  // Synthetic power flows in watts for the local time of day. Production follows the sun between 6am and 6pm, with consumption
+  // peaking in the morning and evening. Any battery charges from excess solar and discharges to cover consumption
+  // Storage is positive when charging and grid is positive when importing
+  let hours = getHours(time);
+  let pv = hours > 6 && hours < 18 ? peakPower * 0.85 * Math.pow(Math.sin((Math.PI * (hours - 6)) / 12), 1.5) : 0;
+  let load = 350 + 1500 * Math.exp(-Math.pow(hours - 7.5, 2) / 0.5) + 2500 * Math.exp(-Math.pow(hours - 18.5, 2) / 1.5);
+  if (variation === true) {
+    pv = pv * (1 + (Math.random() - 0.5) * 0.04); // Allow for a little variation between readings
+  }
+  pv = Math.round(pv);
+  load = Math.round(load);
+
+  let storage = 0;
+  if (capacity > 0) {
+    let hoursPerStep = STEP / 3600000;
+    storage = Math.max(-BATTERY_POWER, Math.min(BATTERY_POWER, pv - load));
+    storage =
+      storage > 0
+        ? Math.min(storage, Math.max(0, capacity - charge) / hoursPerStep)
+        : Math.max(storage, -Math.max(0, charge - capacity * BATTERY_RESERVE) / hoursPerStep);
+    storage = Math.round(storage);
+  }
+
+  return {
+    pv: pv,
+    load: load,
+    storage: storage,
+    grid: load + storage - pv,
+    level: capacity > 0 ? (charge / capacity) * 100 : 0,
+  };
+}
+
+function newTotals() {
+  return Object.fromEntries([...METERS, 'Charged', 'Discharged'].map((type) => [type, 0]));
+}
+
+function getSensorList() {
+  return [
+    { name: 'Ambient Temperature', measurement: 'AmbientTemperature', type: 'Temperature' },
+    { name: 'Module Temperature', measurement: 'ModuleTemperature', type: 'Temperature' },
+    { name: 'Irradiance', measurement: 'GlobalHorizontalIrradiance', type: 'Irradiance' },
+    { name: 'Wind Speed', measurement: 'WindSpeed', type: 'WindSpeed' },
+  ];
+}
+
+function getMeterTypes(parameters) {
+  // Meters requested, in the capitalisation the API uses for its responses
+  let requested = String(parameters?.get?.('meters') ?? '')
+    .split(',')
+    .map((meter) => meter.trim().toUpperCase());
+
+  return METERS.filter((type) => requested.includes(type.toUpperCase()) === true || requested.includes('') === true);
+}
+
+function convertPower(watts, multiplier) {
+  return Math.round((watts / multiplier) * 1000000) / 1000000;
+}
+
+function parseTime(time) {
+  // 'YYYY-MM-DD hh:mm:ss' in local time into milliseconds, or undefined if not valid
+  let parsed = typeof time === 'string' ? new Date(time.trim().replace(' ', 'T')).getTime() : NaN;
+  return isNaN(parsed) === false ? parsed : undefined;
+}
+
+function formatTime(time) {
+  // 'YYYY-MM-DD hh:mm:ss' in local time, as used by the SolarEdge API
+  let date = new Date(time);
+  let pad = (value) => String(value).padStart(2, '0');
+
+  return (
+    date.getFullYear() +
+    '-' +
+    pad(date.getMonth() + 1) +
+    '-' +
+    pad(date.getDate()) +
+    ' ' +
+    pad(date.getHours()) +
+    ':' +
+    pad(date.getMinutes()) +
+    ':' +
+    pad(date.getSeconds())
+  );
+}
+
+function sendJSON(response, status, data, headers = {}) {
+  response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  response.end(JSON.stringify(data));
+}
@@ -0,0 +1,207 @@
+// Time-of-use tariff calculator
+//
+// Works out the cost of importing from the grid, credit for exporting to the grid and savings from using our own solar,
+// by integrating a site's power flows over time against the tariff's rates. Totals are kept for today and this month in
+// the site's timezone, with a daily supply charge added
+//
+// Import rates can vary by weekday and time of day using rate periods, ie: { rate: 0.45, days: ['mon'], start: '15:00', end: '21:00' }
+// The first period matching a time is used, with the tariff's import rate used when no period matches
+//
+// Mark Hulskamp
+'use strict';
+
+// Define constants
+const MAX_SAMPLE_GAP = 1000 * 60 * 60 * 2; // Don't integrate across gaps longer than 2 hours, ie: Homebridge wasn't running
+const STEP = 1000 * 60 * 5; // Integrate in 5 minute steps so rate changes are followed
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+export default class TariffCalculator {
+  currency = '';
+  importRate = 0; // Per kWh when no rate period applies
+  exportRate = 0; // Per kWh
+  supplyCharge = 0; // Per day
+  periods = [];
+
+  // Internal data only for this class
+  #sites = {}; // Running totals for each site, key'd by site ID
+
+  constructor(tariff) {
+    this.currency = typeof tariff?.currency === 'string' ? tariff.currency : '';
+    this.importRate = Number(tariff?.importRate) || 0;
+    this.exportRate = Number(tariff?.exportRate) || 0;
+    this.supplyCharge = Number(tariff?.supplyCharge) || 0;
+    this.periods = (Array.isArray(tariff?.periods) === true ? tariff.periods : [])
+      .map((period) => ({
+        name: typeof period?.name === 'string' ? period.name : '',
+        rate: Number(period?.rate) || 0,
+        days:
+          Array.isArray(period?.days) === true && period.days.length !== 0
+            ? period.days.map((day) => String(day).slice(0, 3).toLowerCase())
+            : DAYS,
+        start: parseTime(period?.start),
+        end: parseTime(period?.end),
+      }))
+      .filter((period) => isNaN(period.start) === false && isNaN(period.end) === false);
+  }
+
+  rateAt(time, timeZone) {
+    // Import rate applying at a time in the site's timezone
+    let local = getLocalTime(time, timeZone);
+    let period = this.periods.find(
+      (period) =>
+        period.days.includes(DAYS[local.day]) === true &&
+        (period.start < period.end
+          ? local.minutes >= period.start && local.minutes < period.end
+          : local.minutes >= period.start || local.minutes < period.end),
+    );
+
+    return period !== undefined ? period.rate : this.importRate;
+  }
+
+  update(siteId, time, power, timeZone) {
+    // Add the cost of the site's power flows since the last update, using the power from the last update
+    // power is { import, export, production, charging } in watts. Returns the totals for the previous day if a new day has started
+    // Solar used at the site is production less what's exported or charging a battery, as stored solar isn't being used yet
+    let site = this.#sites?.[siteId];
+    let previousDay = undefined;
+    if (typeof site !== 'object') {
+      site = this.#sites[siteId] = { date: undefined, today: newTotals(), month: newTotals(), last: undefined };
+    }
+
+    if (site.last !== undefined && time > site.last.time && time - site.last.time <= MAX_SAMPLE_GAP) {
+      for (let start = site.last.time; start < time; start += STEP) {
+        let hours = (Math.min(start + STEP, time) - start) / 3600000;
+        let rolled = this.#rollover(site, start, timeZone);
+        previousDay = rolled ?? previousDay;
+
+        let importRate = this.rateAt(start, timeZone);
+        let importEnergy = (site.last.power.import / 1000) * hours;
+        let exportEnergy = (site.last.power.export / 1000) * hours;
+        let selfConsumed = (Math.max(0, site.last.power.production - site.last.power.export - site.last.power.charging) / 1000) * hours;
+        [site.today, site.month].forEach((totals) => {
+          totals.importEnergy += importEnergy;
+          totals.exportEnergy += exportEnergy;
+          totals.selfConsumedEnergy += selfConsumed;
+          totals.importCost += importEnergy * importRate;
+          totals.exportCredit += exportEnergy * this.exportRate;
+          totals.savings += selfConsumed * importRate;
+        });
+      }
+    }
+
+    previousDay = this.#rollover(site, time, timeZone) ?? previousDay;
+    site.last = {
+      time: time,
+      power: {
+        import: Number(power?.import) || 0,
+        export: Number(power?.export) || 0,
+        production: Number(power?.production) || 0,
+        charging: Number(power?.charging) || 0,
+      },
+    };
+
+    return previousDay;
+  }
+
+  getTotals(siteId) {
+    // Today's and this month's totals for the site, including supply charges, rounded to cents
+    let site = this.#sites?.[siteId];
+    if (typeof site !== 'object' || site.date === undefined) {
+      return undefined;
+    }
+
+    return {
+      currency: this.currency,
+      today: formatTotals(site.today, this.supplyCharge),
+      month: formatTotals(site.month, this.supplyCharge * Number(site.date.slice(8, 10))),
+    };
+  }
+
+  getState() {
+    return structuredClone(this.#sites);
+  }
+
+  setState(state) {
+    this.#sites = typeof state === 'object' && state !== null ? structuredClone(state) : {};
+  }
+
+  #rollover(site, time, timeZone) {
+    // Start new daily and monthly totals if the date at the site has changed, passing back the totals for the previous day
+    let date = getLocalTime(time, timeZone).date;
+    if (site.date === date) {
+      return undefined;
+    }
+
+    let previousDay = site.date !== undefined ? { date: site.date, ...formatTotals(site.today, this.supplyCharge) } : undefined;
+    if (site.date?.slice(0, 7) !== date.slice(0, 7)) {
+      site.month = newTotals();
+    }
+    site.today = newTotals();
+    site.date = date;
+
+    return previousDay;
+  }
+}
+
+function newTotals() {
+  return { importEnergy: 0, exportEnergy: 0, selfConsumedEnergy: 0, importCost: 0, exportCredit: 0, savings: 0 };
+}
+
+function formatTotals(totals, supplyCharge) {
+  let round = (value) => Math.round(value * 100) / 100;
+
+  return {
+    importEnergy: round(totals.importEnergy),
+    exportEnergy: round(totals.exportEnergy),
+    selfConsumedEnergy: round(totals.selfConsumedEnergy),
+    importCost: round(totals.importCost),
+    exportCredit: round(totals.exportCredit),
+    savings: round(totals.savings),
+    supplyCharge: round(supplyCharge),
+    netCost: round(totals.importCost + supplyCharge - totals.exportCredit),
+  };
+}
+
+function parseTime(time) {
+  // 'HH:MM' into minutes since midnight. '24:00' is accepted as the end of the day
+  let match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+  if (match === null || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    return NaN;
+  }
+
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function getLocalTime(time, timeZone) {
+  // Date, weekday and minutes since midnight for a time in the site's timezone
+  // If the timezone isn't valid, we'll use the local timezone
+  let parts = {};
+  let options = {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  };
+  let formatter = undefined;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      ...options,
+      timeZone: typeof timeZone === 'string' && timeZone !== '' ? timeZone : undefined,
+    });
+  } catch {
+    formatter = new Intl.DateTimeFormat('en-US', options);
+  }
+
+  formatter.formatToParts(new Date(time)).forEach((part) => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    date: parts.year + '-' + parts.month + '-' + parts.day,
+    day: DAYS.indexOf(String(parts.weekday).slice(0, 3).toLowerCase()),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}